@@ -1,21 +1,95 @@
 // index.js
 // LINE <-> Kommo bridge
 // 1) LINE webhook -> Kommo: find/create Contact, find/create 1 "chat lead" per contact, add NOTE with client message
+//    (image/video/audio/file are downloaded from LINE and attached to the lead via Kommo Drive;
+//     a group/room is its own contact + lead, each note is signed with the member's name)
 // 2) Kommo webhook (Emfy button) -> LINE: reads custom field "LINE Reply", sends to LINE, clears the field
+//    (the field understands [image ...], [location ...], [flex name], [quick a | b] lines — see "LINE outbound markup";
+//     an [at tomorrow 07:00] line schedules the message instead of sending it now — see "scheduled LINE messages")
+//    KOMMO_CHATS_MODE=1: inbound goes to Kommo's native chat (amojo), agent replies come back via /kommo/chats/webhook/:scopeId
+//    (image/video/audio/file still go to the chat lead as attachments)
+// 3) LINE follow/unfollow/join/leave -> notes on the chat lead, LINE_BLOCKED / LINE_LEFT tags stop outbound sends
+// 4) Optional auto-replies: after-hours message once per window + keyword answers, noted on the lead as "[LINE auto-reply ...]"
+// 5) Rich menu buttons (postback) -> "[LINE postback]" note + Kommo actions; rich menus are managed via /admin/richmenus
+// 6) Lead moved to a configured pipeline stage (/kommo/status-webhook) -> templated LINE message, once per lead + stage
 //
 // ENV (Render):
 // - KOMMO_SUBDOMAIN                (e.g. andriecas)
 // - KOMMO_ACCESS_TOKEN             (long-lived token)
+// - KOMMO_CLIENT_ID / KOMMO_CLIENT_SECRET / KOMMO_REDIRECT_URI
+//                                  (optional) OAuth2 integration: tokens from /oauth/kommo/callback are stored in DATA_DIR,
+//                                  refreshed automatically and take priority over KOMMO_ACCESS_TOKEN
 // - KOMMO_PIPELINE_ID              (optional) e.g. 3153064
 // - KOMMO_STATUS_ID                (optional)
+// - KOMMO_WON_STATUS_IDS           (optional) closed-won status IDs, default 142 (comma-separated)
+// - KOMMO_LOST_STATUS_IDS          (optional) closed-lost status IDs, default 143; closed leads never get new LINE messages
+// - KOMMO_REOPEN_STATUS_ID         (optional) reopen a closed-lost chat lead into this status instead of creating a new one
 // - KOMMO_LINE_REPLY_FIELD_ID      (ID of the custom text field "LINE Reply" in leads) -> 879213
+// - KOMMO_LINE_STATUS_FIELD_ID     (optional) lead field that shows the last outbound LINE status: sent / queued / failed
+// - KOMMO_CONTACT_PICTURE_FIELD_ID / KOMMO_CONTACT_LANGUAGE_FIELD_ID / KOMMO_CONTACT_STATUS_FIELD_ID
+//                                  (optional) contact custom fields for LINE pictureUrl / language / statusMessage
+// - KOMMO_CONTACT_FIRST_CONTACT_FIELD_ID (optional) contact date field, set once to the first-contact date
+// - LINE_PROFILE_CACHE_TTL_SEC     (optional) how long LINE profiles / group summaries are cached, default 3600
 // - LINE_CHANNEL_SECRET
 // - LINE_CHANNEL_ACCESS_TOKEN
+// - LINE_TEMPLATES_DIR             (optional) Flex templates for [flex name] in LINE Reply, default ./templates
+// - LINE_REPLY_TOKEN_TTL_SEC       (optional) how long an inbound replyToken is considered usable, default 55
+// - KOMMO_CHATS_MODE               (optional) "1" -> inbound LINE text messages go to Kommo Chats (amojo) instead of notes;
+//                                  media is still downloaded and attached to the chat lead
+// - KOMMO_CHANNEL_ID               Chats channel ID (from Kommo technical support when registering the channel)
+// - KOMMO_CHANNEL_SECRET           Chats channel secret (signs amojo requests and the /kommo/chats/webhook callbacks)
+// - KOMMO_AMOJO_ID                 (optional) account amojo_id, fetched from /account?with=amojo_id if empty
+// - KOMMO_CHANNEL_SCOPE_ID         (optional) scope_id of the connected channel, otherwise connected on first use and stored
+// - KOMMO_WEBHOOK_SECRET           shared secret for /kommo/webhook and /kommo/status-webhook: ?token=<secret>, X-Bridge-Token header,
+//                                  or X-Bridge-Signature = hex HMAC-SHA256(raw body, secret).
+//                                  Required: without it (per tenant) both webhooks reject every request with 401
+// - KOMMO_ALLOWED_ORIGINS          comma-separated origins allowed to call /kommo/webhook from the browser
+//                                  (Emfy widget), e.g. https://andriecas.kommo.com; empty -> browser calls are rejected
+// - ADMIN_TOKEN                    protects /debug/*, /admin/* and /conversations/*: "Authorization: Bearer <token>" or basic auth with it as password
+// - TENANTS_FILE / TENANTS_JSON    (optional) several LINE channels / Kommo accounts, see "tenants" section;
+//                                  tenant "brand-a" is served on /line/webhook/brand-a and /kommo/webhook/brand-a
+// - WEBHOOK_RECORD                 (optional, off by default) "1" -> save every accepted webhook (raw body + headers, secrets redacted)
+//                                  to DATA_DIR/recordings for scripts/replay-webhooks.js.
+//                                  The bodies are NOT redacted: client names, message text and LINE user IDs are stored as-is (PII) —
+//                                  enable only while debugging
+// - WEBHOOK_RECORD_RETENTION_HOURS (optional) recordings older than this are deleted, default 72
+// - LINE_API_BASE_URL / LINE_DATA_API_BASE_URL / KOMMO_BASE_URL / KOMMO_AMOJO_BASE_URL
+//                                  (optional) override https://api.line.me, https://api-data.line.me,
+//                                  https://<subdomain>.kommo.com and https://amojo.kommo.com (local stand-ins)
+// - AUTO_REPLY_FILE                (optional) business hours / holidays / after-hours message / keyword answers
+//                                  for 1:1 LINE chats, see "auto-reply" section and auto-reply.example.json
+// - POSTBACK_RULES_FILE            (optional) LINE postback data -> move lead to a stage / add tags / create a task,
+//                                  see "LINE postback" section and postback-rules.example.json
+// - LINE_RICH_MENU_DIR             (optional) rich menu JSON + image files for /admin/richmenus, default ./richmenus
+//                                  (default tenant only: named tenants need their own); every <name>.json needs a
+//                                  <name>.png / .jpg next to it, see richmenus/main.example.json
+// - STAGE_MESSAGES_FILE            (optional) pipeline stage -> LINE message template, sent once per lead when
+//                                  Kommo calls /kommo/status-webhook, see stage-messages.example.json
+// - SLA_MINUTES                    (optional) create a Kommo task when a LINE client waits this long for a reply
+//                                  (counted only inside AUTO_REPLY_FILE business hours, if those are set)
+// - SLA_ESCALATE_MINUTES           (optional) total wait before a second, escalation task (must be greater than SLA_MINUTES)
+// - SLA_ESCALATE_USER_ID           (optional) Kommo user for the escalation task, default: the lead's responsible user
+// - LINE_SCHEDULE_TZ               (optional) time zone for [at 2026-10-20 07:00] in LINE Reply, default UTC (e.g. Asia/Makassar)
+// - BROADCAST_CHUNK_DELAY_MS        (optional) pause between LINE multicast chunks of /admin/broadcast, default 1000
+// - LOG_FORMAT                     (optional) "text" (default) or "json" (one JSON object per line, for log collectors)
+// - DATA_DIR                       (optional) where local JSON stores live, default ./data (use a persistent disk on Render)
+// - LINE_DEDUP_TTL_SEC             (optional) how long handled LINE webhookEventId / message IDs are remembered, default 86400
+// - KOMMO_DEDUP_TTL_SEC            (optional) window for ignoring a redelivered "LINE Reply" webhook (same lead + updated_at + text;
+//                                  without updated_at — same lead + text, e.g. Emfy double-click, noted as "[LINE not sent: duplicate]"), default 120
+// - QUEUE_MAX_ATTEMPTS             (optional) retry limit for queued LINE pushes / Kommo notes, default 8
+// - QUEUE_RETRY_BASE_MS            (optional) first retry delay, doubled on every attempt, default 5000
+//
+// Relative paths in every *_FILE / *_DIR variable (TENANTS_FILE, AUTO_REPLY_FILE, POSTBACK_RULES_FILE, STAGE_MESSAGES_FILE,
+// LINE_TEMPLATES_DIR, LINE_RICH_MENU_DIR, DATA_DIR) are resolved from the process working directory;
+// when a variable is unset, the default folder next to index.js is used.
 
 const express = require("express");
 const axios = require("axios");
 const crypto = require("crypto");
 const querystring = require("querystring");
+const fs = require("fs");
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
 
 const app = express();
 
@@ -47,767 +121,4460 @@ function safeJsonParse(str) {
   }
 }
 
+// Пути из ENV (*_FILE, *_DIR) — относительно рабочей директории процесса; значения по умолчанию — рядом с index.js
+function resolveConfigPath(p) {
+  return path.resolve(p);
+}
+
 function isNonEmptyString(v) {
   return typeof v === "string" && v.trim().length > 0;
 }
 
-function log(rid, ...args) {
-  console.log(`[${isoNow()}] [RID:${rid}]`, ...args);
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function warn(rid, ...args) {
-  console.warn(`[${isoNow()}] [RID:${rid}]`, ...args);
+function describeHttpError(e) {
+  return e?.response?.status ? `HTTP ${e.response.status}` : e?.message;
 }
 
-function errlog(rid, ...args) {
-  console.error(`[${isoNow()}] [RID:${rid}]`, ...args);
+// сеть/таймаут, 408, 429 и 5xx имеет смысл повторить; остальные 4xx — нет
+function isRetryableHttpError(e) {
+  const status = e?.response?.status;
+  if (!status) return true;
+  // месячная квота LINE до конца месяца не восстановится — ретраить бессмысленно
+  if (status === 429 && /monthly limit/i.test(e?.response?.data?.message || "")) return false;
+  return status === 408 || status === 429 || status >= 500;
 }
 
-// -------------------- ENV --------------------
-function getKommoToken() {
-  return process.env.KOMMO_ACCESS_TOKEN || process.env.KOMMO_API_KEY || "";
+// Retry-After (секунды) от API важнее нашего экспоненциального backoff
+function retryDelayMs(e, attempt, baseMs, maxMs = 10 * 60 * 1000) {
+  const retryAfter = toInt(e?.response?.headers?.["retry-after"]);
+  if (retryAfter && retryAfter > 0) return Math.min(retryAfter * 1000, maxMs);
+  const jitter = Math.floor(Math.random() * baseMs * 0.2);
+  return Math.min(baseMs * 2 ** attempt + jitter, maxMs);
 }
 
-function getKommoSubdomain() {
-  return process.env.KOMMO_SUBDOMAIN || "";
+function logPrefix(rid) {
+  const tid = currentTenantId();
+  return tid === DEFAULT_TENANT_ID ? `[${isoNow()}] [RID:${rid}]` : `[${isoNow()}] [RID:${rid}] [T:${tid}]`;
 }
 
-function getLineToken() {
-  return process.env.LINE_CHANNEL_ACCESS_TOKEN || "";
-}
+const LOG_EMOJI_RE = /[\u{1F300}-\u{1FAFF}\u{2190}-\u{21FF}\u{2300}-\u{23FF}\u{2600}-\u{27BF}\u{2B00}-\u{2BFF}\u{FE0F}]/gu;
 
-function getLineSecret() {
-  return process.env.LINE_CHANNEL_SECRET || "";
+// LOG_FORMAT=json: { ...поля из объектов-аргументов, ts, level, rid, tenant, msg, code, details }.
+// Поля event / direction / leadId передаём объектом: log(rid, "LINE push sent", { event: "line_push", ... })
+function formatLogEntry(level, rid, args) {
+  const fields = {};
+  const details = [];
+  let msg = null;
+  for (const a of args) {
+    if (msg === null && typeof a === "string") msg = a.replace(LOG_EMOJI_RE, "").replace(/[:\s]+$/, "").trim();
+    else if (a && typeof a === "object" && !Array.isArray(a) && !(a instanceof Error)) Object.assign(fields, a);
+    else details.push(a instanceof Error ? a.message : a);
+  }
+  const http = details.map((d) => /^HTTP (\d{3})/.exec(String(d))).find(Boolean);
+  // поля из аргументов — первыми: ts / level / rid / tenant / msg ими не перезаписать
+  const entry = { ...fields, ts: isoNow(), level, rid: rid || null, tenant: currentTenantId(), msg };
+  if (http && entry.code === undefined) entry.code = Number(http[1]);
+  if (details.length) entry.details = details;
+  return JSON.stringify(entry);
 }
 
-// ID кастомного поля "LINE Reply" в лидах Kommo
-function getLineReplyFieldId() {
-  return toInt(process.env.KOMMO_LINE_REPLY_FIELD_ID);
+function writeLog(level, rid, args) {
+  const out = level === "error" ? console.error : level === "warn" ? console.warn : console.log;
+  if (process.env.LOG_FORMAT === "json") return out(formatLogEntry(level, rid, args));
+  out(logPrefix(rid), ...args);
 }
 
-const TAG_LINE = "LINE";
-const TAG_LINE_CHAT = "LINE_CHAT";
+function log(rid, ...args) {
+  writeLog("info", rid, args);
+}
 
-// legacy: старый формат, который уже используется у тебя
-const TAG_LINE_UID_PREFIX = "LINE_UID_";
+function warn(rid, ...args) {
+  writeLog("warn", rid, args);
+}
 
-// new: сохраняем chatId прямо на лид для надёжной отправки
-const TAG_LINE_CHATID_PREFIX = "LINE_CHATID_";
+function errlog(rid, ...args) {
+  writeLog("error", rid, args);
+}
 
-// -------------------- in-memory debug state --------------------
-const STATE = {
-  lastLineWebhook: null,
-  lastKommoWebhook: null,
+// -------------------- metrics (Prometheus) --------------------
+const METRIC_DEFS = {
+  line_bridge_inbound_events_total: { type: "counter", help: "LINE webhook events received, by event type" },
+  line_bridge_outbound_messages_total: { type: "counter", help: "Messages sent to LINE, by method and result" },
+  line_bridge_unresolved_chat_id_total: { type: "counter", help: "Outbound replies where no LINE chatId could be resolved for the lead" },
+  line_bridge_api_request_duration_seconds: { type: "histogram", help: "LINE / Kommo API latency by api, endpoint and status" },
+  line_bridge_queue_depth: { type: "gauge", help: "Retry queue size by state" },
 };
+const METRIC_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const METRIC_VALUES = new Map(); // name -> Map(labelsKey -> { labels, value | buckets/sum/count })
 
-// -------------------- routes: basic --------------------
-app.get("/", (req, res) => {
-  res.json({
-    ok: true,
-    service: "line-kommo-bridge",
-    endpoints: [
-      "/status",
-      "/line/webhook",
-      "/kommo/webhook",
-      "/debug/env",
-      "/debug/kommo",
-      "/debug/line",
-      "/debug/last-line",
-      "/debug/last-kommo",
-      "/debug/fields",
-    ],
-    ts: isoNow(),
-  });
-});
+function metricSeries(name, labels) {
+  if (!METRIC_VALUES.has(name)) METRIC_VALUES.set(name, new Map());
+  const series = METRIC_VALUES.get(name);
+  const key = JSON.stringify(Object.keys(labels).sort().map((k) => [k, labels[k]]));
+  if (!series.has(key)) {
+    const init = METRIC_DEFS[name].type === "histogram" ? { buckets: METRIC_BUCKETS.map(() => 0), sum: 0, count: 0 } : { value: 0 };
+    series.set(key, { labels, ...init });
+  }
+  return series.get(key);
+}
 
-app.get("/status", (req, res) => {
-  res.json({ ok: true, service: "line-kommo-bridge", timestamp: isoNow() });
-});
+function incMetric(name, labels = {}, by = 1) {
+  metricSeries(name, { tenant: currentTenantId(), ...labels }).value += by;
+}
 
-app.get("/debug/env", (req, res) => {
-  const kommoToken = getKommoToken();
-  const lineToken = getLineToken();
-  res.json({
-    ok: true,
-    KOMMO_SUBDOMAIN: !!getKommoSubdomain(),
-    KOMMO_ACCESS_TOKEN_or_API_KEY: !!kommoToken,
-    KOMMO_TOKEN_MASK: maskToken(kommoToken),
-    LINE_CHANNEL_SECRET: !!getLineSecret(),
-    LINE_CHANNEL_ACCESS_TOKEN: !!lineToken,
-    LINE_TOKEN_MASK: maskToken(lineToken),
-    KOMMO_PIPELINE_ID: process.env.KOMMO_PIPELINE_ID || null,
-    KOMMO_STATUS_ID: process.env.KOMMO_STATUS_ID || null,
-    KOMMO_LINE_REPLY_FIELD_ID: process.env.KOMMO_LINE_REPLY_FIELD_ID || null,
-    ts: isoNow(),
+function observeMetric(name, labels, seconds) {
+  const s = metricSeries(name, { tenant: currentTenantId(), ...labels });
+  METRIC_BUCKETS.forEach((b, i) => {
+    if (seconds <= b) s.buckets[i] += 1;
   });
-});
+  s.sum += seconds;
+  s.count += 1;
+}
 
-// Помогает найти ID кастомного поля "LINE Reply"
-app.get("/debug/fields", async (req, res) => {
-  const rid = makeRid();
-  try {
-    const data = await kommoGet("/leads/custom_fields", {}, rid);
-    const fields = data?._embedded?.custom_fields || [];
-    res.json({
-      ok: true,
-      count: fields.length,
-      fields: fields.map((f) => ({ id: f.id, name: f.name, type: f.type })),
-      rid,
-    });
-  } catch (e) {
-    res.status(500).json({
-      ok: false,
-      rid,
-      error: e?.response?.status
-        ? `HTTP ${e.response.status}: ${JSON.stringify(e.response.data)}`
-        : e.message,
-    });
-  }
-});
+function renderMetricLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
 
-app.get("/debug/kommo", async (req, res) => {
-  const rid = makeRid();
-  try {
-    const sub = getKommoSubdomain();
-    const tok = getKommoToken();
-    if (!sub || !tok) {
-      return res.status(400).json({ ok: false, error: "Kommo env is missing" });
+function renderMetrics() {
+  const lines = [];
+  for (const [name, def] of Object.entries(METRIC_DEFS)) {
+    lines.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} ${def.type}`);
+    for (const s of (METRIC_VALUES.get(name) || new Map()).values()) {
+      if (def.type !== "histogram") {
+        lines.push(`${name}${renderMetricLabels(s.labels)} ${s.value}`);
+        continue;
+      }
+      METRIC_BUCKETS.forEach((b, i) => lines.push(`${name}_bucket${renderMetricLabels({ ...s.labels, le: b })} ${s.buckets[i]}`));
+      lines.push(`${name}_bucket${renderMetricLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+      lines.push(`${name}_sum${renderMetricLabels(s.labels)} ${s.sum}`);
+      lines.push(`${name}_count${renderMetricLabels(s.labels)} ${s.count}`);
     }
-    const url = `https://${sub}.kommo.com/api/v4/account`;
-    const r = await axios.get(url, {
-      headers: { Authorization: `Bearer ${tok}`, Accept: "application/json" },
-      timeout: 10000,
-    });
-    res.json({ ok: true, status: r.status, account_id: r.data?.id, name: r.data?.name, rid });
-  } catch (e) {
-    res.status(500).json({
-      ok: false, rid,
-      error: e?.response?.status
-        ? `HTTP ${e.response.status}: ${JSON.stringify(e.response.data)}`
-        : e.message,
-    });
   }
-});
+  return lines.join("\n") + "\n";
+}
 
-app.get("/debug/line", async (req, res) => {
-  const rid = makeRid();
+// api + endpoint для метрик: ID в пути заменяем на :id, чтобы не раздувать кардинальность
+function describeApiRequest(config) {
+  let u;
   try {
-    const tok = getLineToken();
-    if (!tok) return res.status(400).json({ ok: false, error: "LINE token missing" });
-    const r = await axios.get("https://api.line.me/v2/bot/info", {
-      headers: { Authorization: `Bearer ${tok}` },
-      timeout: 10000,
-    });
-    res.json({ ok: true, status: r.status, bot: r.data, rid });
-  } catch (e) {
-    res.status(500).json({
-      ok: false, rid,
-      error: e?.response?.status
-        ? `HTTP ${e.response.status}: ${JSON.stringify(e.response.data)}`
-        : e.message,
-    });
+    u = new URL(config?.url || "");
+  } catch {
+    return { api: "other", endpoint: "unknown" };
   }
-});
+  const base = `${u.origin}${u.pathname}`;
+  const api = [getLineApiBaseUrl(), getLineDataApiBaseUrl()].some((b) => base.startsWith(b))
+    ? "line"
+    : base.startsWith(getKommoAmojoBaseUrl())
+      ? "kommo_chats"
+      : [...KOMMO_DRIVE_URLS.values()].some((b) => base.startsWith(b))
+        ? "kommo_drive"
+        : u.hostname.endsWith("kommo.com") || base.startsWith(kommoAccountOrigin())
+          ? "kommo"
+          : "other";
+  const endpoint = u.pathname
+    .split("/")
+    .map((seg) => (/^\d+$/.test(seg) || /^[UCR][0-9a-f]{32}$/.test(seg) || seg.length > 24 ? ":id" : seg))
+    .join("/");
+  return { api, endpoint: `${String(config?.method || "get").toUpperCase()} ${endpoint}` };
+}
 
-app.get("/debug/last-line", (req, res) => {
-  res.json({ ok: true, lastLineWebhook: STATE.lastLineWebhook || null, ts: isoNow() });
+// Замеряем все исходящие запросы к LINE / Kommo одним интерцептором
+axios.interceptors.request.use((config) => {
+  config.metadata = { startedAt: process.hrtime.bigint() };
+  return config;
 });
 
-app.get("/debug/last-kommo", (req, res) => {
-  res.json({ ok: true, lastKommoWebhook: STATE.lastKommoWebhook || null, ts: isoNow() });
-});
+function observeApiResponse(config, status) {
+  if (!config?.metadata?.startedAt) return;
+  const seconds = Number(process.hrtime.bigint() - config.metadata.startedAt) / 1e9;
+  observeMetric("line_bridge_api_request_duration_seconds", { ...describeApiRequest(config), status: String(status) }, seconds);
+}
 
-// -------------------- LINE signature verify --------------------
-function verifyLineSignature(bodyString, signature) {
-  const secret = getLineSecret();
-  if (!secret) return true; // если секрет не задан — пропускаем проверку
-  if (!signature) return false;
+axios.interceptors.response.use(
+  (r) => {
+    observeApiResponse(r.config, r.status);
+    return r;
+  },
+  (e) => {
+    observeApiResponse(e?.config, e?.response?.status || (e?.code === "ECONNABORTED" ? "timeout" : "network_error"));
+    return Promise.reject(e);
+  }
+);
 
-  try {
-    const hash = crypto.createHmac("sha256", secret).update(bodyString).digest("base64");
-    return hash === signature;
-  } catch {
-    return false;
+// -------------------- tenants --------------------
+// Несколько LINE OA / Kommo аккаунтов в одном процессе. Конфиг тенанта — те же имена, что и ENV:
+//   TENANTS_FILE=./tenants.json  (или TENANTS_JSON='{...}' прямо в ENV на Render)
+//   { "brand-a": { "LINE_CHANNEL_SECRET": "...", "LINE_CHANNEL_ACCESS_TOKEN": "...",
+//                  "KOMMO_SUBDOMAIN": "...", "KOMMO_ACCESS_TOKEN": "...", "KOMMO_LINE_REPLY_FIELD_ID": 879213 } }
+// Тенант "default" (роуты без :tenant) читает всё из ENV. Именованные тенанты берут из ENV только
+// общие настройки — креды и ID воронки/поля (TENANT_SCOPED_KEYS) должны быть в их собственном конфиге.
+const DEFAULT_TENANT_ID = "default";
+const TENANT_CONTEXT = new AsyncLocalStorage();
+
+const TENANT_SCOPED_KEYS = new Set([
+  "LINE_CHANNEL_SECRET",
+  "LINE_CHANNEL_ACCESS_TOKEN",
+  "KOMMO_SUBDOMAIN",
+  "KOMMO_ACCESS_TOKEN",
+  "KOMMO_API_KEY",
+  "KOMMO_CLIENT_ID",
+  "KOMMO_CLIENT_SECRET",
+  "KOMMO_REDIRECT_URI",
+  "KOMMO_PIPELINE_ID",
+  "KOMMO_STATUS_ID",
+  "KOMMO_REOPEN_STATUS_ID",
+  "KOMMO_LINE_REPLY_FIELD_ID",
+  "KOMMO_LINE_STATUS_FIELD_ID",
+  "POSTBACK_RULES_FILE",
+  "LINE_RICH_MENU_DIR",
+  "KOMMO_CONTACT_PICTURE_FIELD_ID",
+  "KOMMO_CONTACT_LANGUAGE_FIELD_ID",
+  "KOMMO_CONTACT_STATUS_FIELD_ID",
+  "KOMMO_CONTACT_FIRST_CONTACT_FIELD_ID",
+  "SLA_ESCALATE_USER_ID",
+  "KOMMO_WEBHOOK_SECRET",
+  "KOMMO_ALLOWED_ORIGINS",
+  "KOMMO_CHATS_MODE",
+  "KOMMO_CHANNEL_ID",
+  "KOMMO_CHANNEL_SECRET",
+  "KOMMO_AMOJO_ID",
+  "KOMMO_CHANNEL_SCOPE_ID",
+]);
+
+let tenantsCache = null;
+
+function loadTenants() {
+  if (tenantsCache) return tenantsCache;
+  let raw = null;
+  if (process.env.TENANTS_JSON) raw = safeJsonParse(process.env.TENANTS_JSON);
+  else if (process.env.TENANTS_FILE) raw = readJsonFile(resolveConfigPath(process.env.TENANTS_FILE), null);
+  if ((process.env.TENANTS_JSON || process.env.TENANTS_FILE) && !raw) {
+    errlog("-", "TENANTS_JSON / TENANTS_FILE is not valid JSON -> only default tenant is served");
   }
-}
 
-// -------------------- LINE API --------------------
-async function getLineProfile(lineUserId, rid) {
-  const tok = getLineToken();
-  if (!tok) return null;
-  try {
-    const url = `https://api.line.me/v2/bot/profile/${encodeURIComponent(lineUserId)}`;
-    const r = await axios.get(url, {
-      headers: { Authorization: `Bearer ${tok}` },
-      timeout: 10000,
-    });
-    const profile = r.data || null;
-    if (profile) {
-      log(rid, "👤 LINE profile:", {
-        userId: profile.userId,
-        displayName: profile.displayName,
-      });
+  tenantsCache = {};
+  for (const [id, config] of Object.entries(raw || {})) {
+    if (!/^[\w-]+$/.test(id) || !config || typeof config !== "object") {
+      errlog("-", "Skipping bad tenant config:", { tenantId: id });
+      continue;
     }
-    return profile;
-  } catch (e) {
-    warn(rid, "Could not fetch LINE profile:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
-    return null;
+    tenantsCache[id] = { id, config };
   }
+  return tenantsCache;
 }
 
-async function sendLinePush(to, text, rid) {
-  const tok = getLineToken();
-  if (!tok) {
-    errlog(rid, "LINE_CHANNEL_ACCESS_TOKEN missing -> cannot send");
-    return { ok: false, error: "LINE token missing" };
-  }
-  const payload = { to, messages: [{ type: "text", text }] };
-  try {
-    const r = await axios.post("https://api.line.me/v2/bot/message/push", payload, {
-      headers: { Authorization: `Bearer ${tok}`, "Content-Type": "application/json" },
-      timeout: 10000,
-    });
-    log(rid, "✅ LINE push sent:", { to, status: r.status });
-    return { ok: true };
-  } catch (e) {
-    const details = e?.response?.data ? JSON.stringify(e.response.data) : e.message;
-    errlog(rid, "❌ LINE push error:", e?.response?.status ? `HTTP ${e.response.status}` : "", details);
-    return { ok: false, error: details };
-  }
+function getTenant(id) {
+  const tenants = loadTenants();
+  if (tenants[id]) return tenants[id];
+  if (id === DEFAULT_TENANT_ID) return { id: DEFAULT_TENANT_ID, config: {} };
+  return null;
 }
 
-// -------------------- KOMMO API --------------------
-function kommoBaseUrl() {
-  const sub = getKommoSubdomain();
-  if (!sub) return "";
-  return `https://${sub}.kommo.com/api/v4`;
+function listTenantIds() {
+  const ids = Object.keys(loadTenants());
+  return ids.includes(DEFAULT_TENANT_ID) ? ids : [DEFAULT_TENANT_ID, ...ids];
 }
 
-function kommoHeaders() {
-  return {
-    Authorization: `Bearer ${getKommoToken()}`,
-    "Content-Type": "application/json",
-    Accept: "application/json",
+function currentTenant() {
+  return TENANT_CONTEXT.getStore() || getTenant(DEFAULT_TENANT_ID);
+}
+
+function currentTenantId() {
+  return TENANT_CONTEXT.getStore()?.id || DEFAULT_TENANT_ID;
+}
+
+function runWithTenant(tenant, fn) {
+  return TENANT_CONTEXT.run(tenant, fn);
+}
+
+// ключ хранилищ/очередей, уникальный в пределах тенанта
+function tenantKey(key) {
+  return `${currentTenantId()}:${key}`;
+}
+
+// Настройка текущего тенанта (имя = имя ENV переменной)
+function tenantEnv(name) {
+  const tenant = currentTenant();
+  const v = tenant.config[name];
+  if (v !== undefined && v !== null && v !== "") return String(v);
+  if (tenant.id !== DEFAULT_TENANT_ID && TENANT_SCOPED_KEYS.has(name)) return "";
+  return process.env[name] || "";
+}
+
+// Express handler -> выполняется в контексте тенанта из :tenant (или ?tenant=), без него — default
+function withTenant(handler) {
+  return (req, res, next) => {
+    const id = req.params.tenant || req.query.tenant || DEFAULT_TENANT_ID;
+    const tenant = getTenant(String(id));
+    if (!tenant) {
+      const rid = makeRid();
+      warn(rid, "Unknown tenant rejected:", { event: "unknown_tenant", requestedTenant: id, path: req.originalUrl });
+      return res.status(404).json({ ok: false, error: "unknown tenant", rid });
+    }
+    return runWithTenant(tenant, () => handler(req, res, next));
   };
 }
 
-async function kommoGet(path, params, rid) {
-  const base = kommoBaseUrl();
-  if (!base || !getKommoToken()) throw new Error("KOMMO creds missing");
-  const r = await axios.get(`${base}${path}`, {
-    headers: kommoHeaders(),
-    params: params || {},
-    timeout: 15000,
-  });
-  return r.data;
+// -------------------- ENV --------------------
+// OAuth-токен (если интеграция авторизована) важнее статического long-lived токена
+function getKommoToken() {
+  return getKommoOAuthTokens()?.accessToken || tenantEnv("KOMMO_ACCESS_TOKEN") || tenantEnv("KOMMO_API_KEY");
 }
 
-async function kommoPost(path, data, rid) {
-  const base = kommoBaseUrl();
-  if (!base || !getKommoToken()) throw new Error("KOMMO creds missing");
-  const r = await axios.post(`${base}${path}`, data, {
-    headers: kommoHeaders(),
-    timeout: 15000,
-  });
-  return r.data;
+function getKommoSubdomain() {
+  return tenantEnv("KOMMO_SUBDOMAIN") || getKommoOAuthTokens()?.subdomain || "";
 }
 
-async function kommoPatch(path, data, rid) {
-  const base = kommoBaseUrl();
-  if (!base || !getKommoToken()) throw new Error("KOMMO creds missing");
-  const r = await axios.patch(`${base}${path}`, data, {
-    headers: kommoHeaders(),
-    timeout: 15000,
-  });
-  return r.data;
+function getLineToken() {
+  return tenantEnv("LINE_CHANNEL_ACCESS_TOKEN");
 }
 
-// -------------------- Kommo helpers --------------------
-function contactHasTag(contact, tagName) {
-  const tags = contact?._embedded?.tags || [];
-  return tags.some((t) => t?.name === tagName);
+function getLineSecret() {
+  return tenantEnv("LINE_CHANNEL_SECRET");
 }
 
-function extractLineUserIdFromTags(tags) {
-  const arr = Array.isArray(tags) ? tags : [];
-  // 1) новый формат на лиде
-  for (const t of arr) {
-    const n = t?.name || "";
-    if (n.startsWith(TAG_LINE_CHATID_PREFIX)) return n.slice(TAG_LINE_CHATID_PREFIX.length);
-  }
-  // 2) legacy формат на контакте (и иногда на лиде)
-  for (const t of arr) {
-    const n = t?.name || "";
-    if (n.startsWith(TAG_LINE_UID_PREFIX)) return n.slice(TAG_LINE_UID_PREFIX.length);
-  }
-  return null;
+// Базовые URL внешних API. Переопределяются для локальных заглушек (scripts/replay-webhooks.js)
+function trimBaseUrl(url) {
+  return String(url).replace(/\/+$/, "");
 }
 
-function extractLineUserIdFromContact(contact) {
-  const tags = contact?._embedded?.tags || [];
-  return extractLineUserIdFromTags(tags);
+function getLineApiBaseUrl() {
+  return trimBaseUrl(process.env.LINE_API_BASE_URL || "https://api.line.me");
 }
 
-async function findKommoContactByLineUserId(lineUserId, rid) {
-  const q = `${TAG_LINE_UID_PREFIX}${lineUserId}`;
-  log(rid, "[KOMMO] find contact by query:", q);
-  const data = await kommoGet("/contacts", { query: q, limit: 10, with: "tags" }, rid);
-  const contacts = data?._embedded?.contacts || [];
-  if (!contacts.length) return null;
-  return contacts.find((c) => contactHasTag(c, q)) || contacts[0];
+function getLineDataApiBaseUrl() {
+  return trimBaseUrl(process.env.LINE_DATA_API_BASE_URL || "https://api-data.line.me");
 }
 
-async function createKommoContactFromLine(lineUserId, profile, rid) {
-  const displayName = profile?.displayName || `LINE ${lineUserId}`;
-  const name = `[LINE] ${displayName}`.slice(0, 250);
-  const tags = [
-    { name: TAG_LINE },
-    { name: `${TAG_LINE_UID_PREFIX}${lineUserId}` },
-    { name: `${TAG_LINE_CHATID_PREFIX}${lineUserId}` }, // сохраняем и новым тегом
-  ];
-  const payload = [{ name, _embedded: { tags } }];
-  log(rid, "[KOMMO] creating contact:", { name });
-  const created = await kommoPost("/contacts", payload, rid);
-  const contact = created?._embedded?.contacts?.[0] || (Array.isArray(created) ? created[0] : null) || null; return contact;
+// https://<subdomain>.kommo.com, или KOMMO_BASE_URL для всех аккаунтов сразу
+function kommoAccountOrigin(subdomain = getKommoSubdomain()) {
+  return process.env.KOMMO_BASE_URL ? trimBaseUrl(process.env.KOMMO_BASE_URL) : `https://${subdomain}.kommo.com`;
 }
-async function ensureKommoContact(lineUserId, profile, rid) {
-  let contact = null;
-  try {
-    contact = await findKommoContactByLineUserId(lineUserId, rid);
-  } catch (e) {
-    errlog(rid, "[KOMMO] Error searching contacts:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
-  }
 
-  if (!contact) {
+function getKommoAmojoBaseUrl() {
+  return trimBaseUrl(process.env.KOMMO_AMOJO_BASE_URL || "https://amojo.kommo.com");
+}
+
+// ID кастомного поля "LINE Reply" в лидах Kommo
+function getLineReplyFieldId() {
+  return toInt(tenantEnv("KOMMO_LINE_REPLY_FIELD_ID"));
+}
+
+function getKommoPipelineId() {
+  return toInt(tenantEnv("KOMMO_PIPELINE_ID"));
+}
+
+function getKommoStatusId() {
+  return toInt(tenantEnv("KOMMO_STATUS_ID"));
+}
+
+function parseIdList(v) {
+  return String(v || "")
+    .split(",")
+    .map((x) => toInt(x.trim()))
+    .filter(Boolean);
+}
+
+// Закрытые статусы Kommo: 142 — успешно реализовано, 143 — закрыто и не реализовано
+function getKommoWonStatusIds() {
+  const ids = parseIdList(tenantEnv("KOMMO_WON_STATUS_IDS"));
+  return ids.length ? ids : [142];
+}
+
+function getKommoLostStatusIds() {
+  const ids = parseIdList(tenantEnv("KOMMO_LOST_STATUS_IDS"));
+  return ids.length ? ids : [143];
+}
+
+function getKommoReopenStatusId() {
+  return toInt(tenantEnv("KOMMO_REOPEN_STATUS_ID"));
+}
+
+const TAG_LINE = "LINE";
+const TAG_LINE_CHAT = "LINE_CHAT";
+
+// legacy: старый формат, который уже используется у тебя
+const TAG_LINE_UID_PREFIX = "LINE_UID_";
+
+// new: сохраняем chatId прямо на лид для надёжной отправки
+const TAG_LINE_CHATID_PREFIX = "LINE_CHATID_";
+
+// клиент заблокировал бота (unfollow) / бот вышел из группы или комнаты (leave)
+const TAG_LINE_BLOCKED = "LINE_BLOCKED";
+const TAG_LINE_LEFT = "LINE_LEFT";
+
+// контакт/лид, который представляет LINE-группу или комнату (а не одного клиента)
+const TAG_LINE_GROUP = "LINE_GROUP";
+
+// -------------------- persistent JSON stores --------------------
+function getDataDir() {
+  return process.env.DATA_DIR ? resolveConfigPath(process.env.DATA_DIR) : path.join(__dirname, "data");
+}
+
+function readJsonFile(file, fallback) {
+  try {
+    const parsed = safeJsonParse(fs.readFileSync(file, "utf8"));
+    return parsed && typeof parsed === "object" ? parsed : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// пишем через tmp + rename, чтобы при падении процесса не остался обрезанный файл
+function writeJsonFileAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// Маленькое key-value хранилище в JSON-файле внутри DATA_DIR (читается лениво, пишется целиком)
+function openJsonStore(fileName, initial) {
+  let data = null;
+  return {
+    file: () => path.join(getDataDir(), fileName),
+    get() {
+      if (!data) data = readJsonFile(this.file(), initial());
+      return data;
+    },
+    save() {
+      try {
+        writeJsonFileAtomic(this.file(), this.get());
+      } catch (e) {
+        errlog("-", "Could not write store:", { store: fileName }, e.message);
+      }
+    },
+  };
+}
+
+// Данные текущего тенанта внутри store: { tenants: { <id>: {...} } }.
+// Файлы, записанные до multi-tenant (без "tenants"), целиком переезжают в default tenant.
+function tenantSlot(store, init) {
+  const db = store.get();
+  if (!db.tenants) {
+    const legacy = { ...db };
+    for (const k of Object.keys(db)) delete db[k];
+    db.tenants = Object.keys(legacy).length ? { [DEFAULT_TENANT_ID]: legacy } : {};
+  }
+  const tid = currentTenantId();
+  if (!db.tenants[tid]) db.tenants[tid] = init();
+  return db.tenants[tid];
+}
+
+// -------------------- LINE <-> Kommo mapping store --------------------
+// users: lineUserId -> { contactId, leadId, updatedAt }
+// leads / contacts: обратные индексы для исходящего пути (Kommo -> LINE)
+const MAPPING_STORE = openJsonStore("line-mapping.json", () => ({ tenants: {} }));
+
+function mappingDb() {
+  return tenantSlot(MAPPING_STORE, () => ({ users: {}, leads: {}, contacts: {} }));
+}
+
+function getLineMapping(lineUserId) {
+  if (!lineUserId) return null;
+  return mappingDb().users[lineUserId] || null;
+}
+
+function saveLineMapping(lineUserId, { contactId, leadId }) {
+  if (!lineUserId || lineUserId === "unknown") return;
+  const db = mappingDb();
+  const prev = db.users[lineUserId] || {};
+  const next = {
+    contactId: contactId ? String(contactId) : prev.contactId || null,
+    leadId: leadId ? String(leadId) : prev.leadId || null,
+    updatedAt: isoNow(),
+  };
+  if (next.contactId === prev.contactId && next.leadId === prev.leadId) return;
+
+  db.users[lineUserId] = next;
+  if (next.contactId) db.contacts[next.contactId] = lineUserId;
+  if (next.leadId) db.leads[next.leadId] = lineUserId;
+  MAPPING_STORE.save();
+}
+
+// Исходящий поиск (LINE Reply, рассылка, rich menu, сообщения по этапам) пишет только обратные индексы lead/contact -> chatId.
+// users[chatId] (куда идут входящие) не трогаем: у контакта может быть несколько лидов с тем же тегом.
+function rememberLineChatLookup(lineUserId, { contactId, leadId }) {
+  if (!lineUserId || lineUserId === "unknown") return;
+  const db = mappingDb();
+  let changed = false;
+  if (leadId && db.leads[String(leadId)] !== lineUserId) {
+    db.leads[String(leadId)] = lineUserId;
+    changed = true;
+  }
+  if (contactId && db.contacts[String(contactId)] !== lineUserId) {
+    db.contacts[String(contactId)] = lineUserId;
+    changed = true;
+  }
+  if (changed) MAPPING_STORE.save();
+}
+
+// запись оказалась устаревшей (контакт/лид удалён в Kommo) -> забываем, чтобы сработал fallback по тегам
+function forgetLineMapping(lineUserId, what) {
+  const db = mappingDb();
+  const entry = db.users[lineUserId];
+  if (!entry?.[what]) return;
+  if (what === "contactId") delete db.contacts[entry.contactId];
+  if (what === "leadId") delete db.leads[entry.leadId];
+  entry[what] = null;
+  entry.updatedAt = isoNow();
+  MAPPING_STORE.save();
+}
+
+function findLineUserIdByLeadId(leadId) {
+  return leadId ? mappingDb().leads[String(leadId)] || null : null;
+}
+
+function findLineUserIdByContactId(contactId) {
+  return contactId ? mappingDb().contacts[String(contactId)] || null : null;
+}
+
+// -------------------- idempotency (webhook dedup) --------------------
+// keys: ключ -> timestamp истечения. Храним на диске, чтобы redelivery после рестарта тоже отсекался.
+const DEDUP_STORE = openJsonStore("dedup.json", () => ({ keys: {} }));
+
+function getLineDedupTtlMs() {
+  return (toInt(process.env.LINE_DEDUP_TTL_SEC) || 24 * 60 * 60) * 1000;
+}
+
+function getKommoDedupTtlMs() {
+  return (toInt(tenantEnv("KOMMO_DEDUP_TTL_SEC")) || 120) * 1000;
+}
+
+function pruneDedupKeys(db, now) {
+  for (const [k, expiresAt] of Object.entries(db.keys)) {
+    if (expiresAt <= now) delete db.keys[k];
+  }
+}
+
+// true — ключи новые и теперь заняты; false — что-то из них уже обработано в пределах TTL
+function claimIdempotencyKeys(keys, ttlMs) {
+  const list = keys.filter(Boolean).map(tenantKey);
+  if (!list.length) return true;
+  const db = DEDUP_STORE.get();
+  const now = Date.now();
+  pruneDedupKeys(db, now);
+  if (list.some((k) => db.keys[k])) return false;
+  for (const k of list) db.keys[k] = now + ttlMs;
+  DEDUP_STORE.save();
+  return true;
+}
+
+// обработка не удалась -> освобождаем ключ, чтобы повтор прошёл
+function releaseIdempotencyKeys(keys) {
+  const db = DEDUP_STORE.get();
+  for (const k of keys.filter(Boolean).map(tenantKey)) delete db.keys[k];
+  DEDUP_STORE.save();
+}
+
+function lineEventDedupKeys(ev) {
+  return [
+    ev?.webhookEventId ? `line:event:${ev.webhookEventId}` : null,
+    ev?.message?.id ? `line:msg:${ev.message.id}` : null,
+  ];
+}
+
+// Время изменения лида из webhook: повторная доставка того же события несёт тот же updated_at,
+// а новое сохранение поля (даже с тем же "ok") — уже другой
+function extractKommoUpdatedAt(parsed) {
+  const value =
+    parsed["leads[update][0][updated_at]"] ||
+    parsed["leads[update][0][last_modified]"] ||
+    parsed["leads[add][0][updated_at]"] ||
+    parsed["this_item[updated_at]"] ||
+    parsed["updated_at"] ||
+    null;
+  return toInt(value) || null;
+}
+
+function kommoReplyDedupKey(leadId, text, updatedAt) {
+  const hash = crypto.createHash("sha256").update(`${leadId}\n${updatedAt || ""}\n${text}`).digest("hex").slice(0, 32);
+  return `kommo:reply:${hash}`;
+}
+
+// -------------------- durable retry queue --------------------
+// jobs: ожидающие повтора задачи; dead: исчерпали попытки или получили неповторяемую ошибку.
+// orderKey (lead:<id> / line:<chatId>) — пока у ключа есть ожидающая задача, новые встают за ней в очередь,
+// поэтому порядок сообщений внутри одного лида/чата сохраняется. Первая попытка, которая ещё выполняется,
+// тоже считается ожидающей (QUEUE_IN_FLIGHT, только в памяти): если она упадёт и уйдёт в очередь,
+// встанет перед задачами, поставленными за ней.
+const QUEUE_STORE = openJsonStore("queue.json", () => ({ jobs: [], dead: [] }));
+const QUEUE_TICK_MS = 2000;
+const QUEUE_IN_FLIGHT = new Set();
+
+const JOB_EXECUTORS = {
+  line_push: (payload, rid) => linePushRequest(payload, rid),
+  line_multicast: (payload, rid) => lineMulticastRequest(payload, rid),
+  kommo_note: (payload, rid) => kommoNoteRequest(payload, rid),
+};
+
+// что сделать, если задача выполнилась уже из очереди (а не с первой попытки)
+const JOB_AFTER_RETRY = {
+  line_push: async (job) => {
+    updateTranscriptResult(job.payload.transcriptId, "sent");
+    if (!job.payload.leadId) return;
+    const text = job.payload.messages.map((m) => m.text || `[${m.type}]`).join("\n");
+    await addLeadNote(job.payload.leadId, `[LINE sent after ${job.attempts} retries] ${text}`, job.rid);
+    await setLeadLineStatus(job.payload.leadId, "sent", job.rid);
+  },
+  line_multicast: async (job) => {
+    const text = describeLineMessagesForTranscript(job.payload.messages);
+    for (const r of job.payload.recipients || []) {
+      updateTranscriptResult(r.transcriptId, "sent");
+      if (!r.leadId) continue;
+      await addLeadNote(r.leadId, `[LINE broadcast sent after ${job.attempts} retries] ${text}`, job.rid);
+      await setLeadLineStatus(r.leadId, "sent", job.rid);
+    }
+  },
+};
+
+// что сделать, когда задача окончательно ушла в dead-letter (агент должен узнать, что клиент ничего не получил)
+const JOB_ON_DEAD = {
+  line_push: async (job) => {
+    if (!job.payload.leadId) return;
+    const reason = describeLineSendError(job.lastStatus, job.lastDetails || job.lastError);
+    // автоответы и рассылки задачу не создают (payload.failureTask = false)
+    const opts = { task: job.payload.failureTask !== false };
+    await reportLineDeliveryFailure(job.payload.leadId, { reason, text: describeLineMessagesForTranscript(job.payload.messages) }, job.rid, opts);
+  },
+  // рассылка: без задач на каждый лид, только заметка + статус
+  line_multicast: async (job) => {
+    const reason = describeLineSendError(job.lastStatus, job.lastDetails || job.lastError);
+    const text = describeLineMessagesForTranscript(job.payload.messages);
+    for (const r of job.payload.recipients || []) {
+      if (r.leadId) await reportLineDeliveryFailure(r.leadId, { reason, text }, job.rid, { task: false });
+    }
+  },
+};
+
+function getQueueMaxAttempts() {
+  return toInt(process.env.QUEUE_MAX_ATTEMPTS) || 8;
+}
+
+function getQueueRetryBaseMs() {
+  return toInt(process.env.QUEUE_RETRY_BASE_MS) || 5000;
+}
+
+function hasPendingJobs(orderKey) {
+  const key = tenantKey(orderKey);
+  return QUEUE_IN_FLIGHT.has(key) || QUEUE_STORE.get().jobs.some((j) => j.orderKey === key);
+}
+
+function moveJobToDead(job, error) {
+  const db = QUEUE_STORE.get();
+  db.jobs = db.jobs.filter((j) => j.id !== job.id);
+  db.dead.push({ ...job, lastError: error, deadAt: isoNow() });
+  QUEUE_STORE.save();
+  errlog(job.rid, "☠️ Job moved to dead-letter:", { event: "dead_letter", id: job.id, kind: job.kind, orderKey: job.orderKey, leadId: job.payload?.leadId || null, error });
+  if (job.kind === "line_push") updateTranscriptResult(job.payload?.transcriptId, "failed");
+  if (job.kind === "line_multicast") (job.payload?.recipients || []).forEach((r) => updateTranscriptResult(r.transcriptId, "failed"));
+
+  const tenant = getTenant(job.tenant || DEFAULT_TENANT_ID);
+  if (JOB_ON_DEAD[job.kind] && tenant) {
+    runWithTenant(tenant, () => JOB_ON_DEAD[job.kind](job)).catch((e) => warn(job.rid, "Job dead-letter hook failed:", e.message));
+  }
+}
+
+function scheduleJobRetry(job, e) {
+  job.attempts += 1;
+  job.lastError = describeHttpError(e);
+  job.lastStatus = e?.response?.status || null;
+  job.lastDetails = e?.response?.data ? JSON.stringify(e.response.data) : e.message;
+  if (job.attempts >= getQueueMaxAttempts() || !isRetryableHttpError(e)) {
+    moveJobToDead(job, job.lastError);
+    return;
+  }
+  const delay = retryDelayMs(e, job.attempts - 1, getQueueRetryBaseMs());
+  job.nextAt = Date.now() + delay;
+  QUEUE_STORE.save();
+  warn(job.rid, "⏳ Job scheduled for retry:", { id: job.id, kind: job.kind, attempts: job.attempts, inMs: delay, error: job.lastError });
+}
+
+// Первая попытка — сразу (если по orderKey ничего не ждёт), дальше — фоновый воркер.
+// -> { ok: true, result } | { ok: false, queued: true, jobId } | { ok: false, error }
+// defer — без попытки сразу: задача встаёт в очередь на QUEUE_RETRY_BASE_MS
+async function runDurableJob(kind, payload, { orderKey, rid, defer = false }) {
+  const job = {
+    id: makeRid() + makeRid(),
+    kind,
+    // retryKey живёт вместе с задачей: все попытки (включая из очереди) — один и тот же ключ
+    payload: kind.startsWith("line_") ? { ...payload, retryKey: payload.retryKey || crypto.randomUUID() } : payload,
+    tenant: currentTenantId(),
+    orderKey: tenantKey(orderKey),
+    rid,
+    attempts: 0,
+    nextAt: Date.now(),
+    createdAt: isoNow(),
+  };
+
+  if (defer || hasPendingJobs(orderKey)) {
+    if (defer) job.nextAt = Date.now() + getQueueRetryBaseMs();
+    QUEUE_STORE.get().jobs.push(job);
+    QUEUE_STORE.save();
+    log(rid, defer ? "📥 Job deferred to the queue:" : "📥 Job queued behind pending ones:", { id: job.id, kind, orderKey: job.orderKey });
+    return { ok: false, queued: true, jobId: job.id };
+  }
+
+  QUEUE_IN_FLIGHT.add(job.orderKey);
+  try {
+    const result = await JOB_EXECUTORS[kind](job.payload, rid);
+    return { ok: true, result };
+  } catch (e) {
+    const details = e?.response?.data ? JSON.stringify(e.response.data) : e.message;
+    errlog(rid, `❌ ${kind} failed:`, describeHttpError(e), details);
+    const status = e?.response?.status || null;
+    if (!isRetryableHttpError(e) || getQueueMaxAttempts() <= 1) {
+      // о провале сообщает вызывающий код — JOB_ON_DEAD здесь не нужен
+      QUEUE_STORE.get().dead.push({ ...job, attempts: 1, lastError: details, lastStatus: status, deadAt: isoNow() });
+      QUEUE_STORE.save();
+      return { ok: false, error: details, status };
+    }
+    // за этой попыткой могли уже встать задачи с тем же orderKey — она должна быть первой
+    const jobs = QUEUE_STORE.get().jobs;
+    const behind = jobs.findIndex((j) => j.orderKey === job.orderKey);
+    jobs.splice(behind === -1 ? jobs.length : behind, 0, job);
+    scheduleJobRetry(job, e);
+    return { ok: false, queued: true, jobId: job.id, error: details, status };
+  } finally {
+    QUEUE_IN_FLIGHT.delete(job.orderKey);
+  }
+}
+
+let queueBusy = false;
+
+async function processQueue() {
+  if (queueBusy) return;
+  queueBusy = true;
+  try {
+    const db = QUEUE_STORE.get();
+    const seen = new Set();
+    // берём только головную задачу каждого orderKey — иначе нарушится порядок
+    const heads = db.jobs.filter((j) => {
+      if (seen.has(j.orderKey)) return false;
+      seen.add(j.orderKey);
+      return true;
+    });
+
+    for (const job of heads) {
+      if (job.nextAt > Date.now() || QUEUE_IN_FLIGHT.has(job.orderKey)) continue;
+      const executor = JOB_EXECUTORS[job.kind];
+      const tenant = getTenant(job.tenant || DEFAULT_TENANT_ID);
+      if (!executor || !tenant) {
+        moveJobToDead(job, executor ? `unknown tenant: ${job.tenant}` : `unknown job kind: ${job.kind}`);
+        continue;
+      }
+      // задача выполняется с конфигом того тенанта, который её поставил
+      await runWithTenant(tenant, async () => {
+        try {
+          await executor(job.payload, job.rid);
+          job.attempts += 1;
+          QUEUE_STORE.get().jobs = QUEUE_STORE.get().jobs.filter((j) => j.id !== job.id);
+          QUEUE_STORE.save();
+          log(job.rid, "✅ Queued job done:", { id: job.id, kind: job.kind, attempts: job.attempts });
+          if (JOB_AFTER_RETRY[job.kind]) {
+            JOB_AFTER_RETRY[job.kind](job).catch((e) => warn(job.rid, "Job after-retry hook failed:", e.message));
+          }
+        } catch (e) {
+          scheduleJobRetry(job, e);
+        }
+      });
+    }
+  } catch (e) {
+    errlog("-", "Queue worker error:", e.message);
+  } finally {
+    queueBusy = false;
+  }
+}
+
+function startQueueWorker() {
+  setInterval(processQueue, QUEUE_TICK_MS).unref();
+}
+
+// -> сколько задач вернули в очередь
+function replayDeadJobs(ids) {
+  const db = QUEUE_STORE.get();
+  const wanted = ids ? new Set(ids) : null;
+  const replay = db.dead.filter((j) => !wanted || wanted.has(j.id));
+  if (!replay.length) return 0;
+  db.dead = db.dead.filter((j) => !replay.includes(j));
+  for (const j of replay) {
+    const { deadAt, ...job } = j;
+    db.jobs.push({ ...job, attempts: 0, nextAt: Date.now(), replayedAt: isoNow() });
+  }
+  QUEUE_STORE.save();
+  return replay.length;
+}
+
+// -------------------- conversation transcripts --------------------
+// Каждое входящее/исходящее сообщение — строка JSONL в DATA_DIR/transcripts/<tenant>.jsonl:
+//   { id, ts, direction: "in" | "out", chatId, leadId, type, text, sender, result, method }
+// Результат доставки, который стал известен позже (очередь), дописывается строкой { update: id, result, ts }.
+function transcriptFile() {
+  return path.join(getDataDir(), "transcripts", `${currentTenantId()}.jsonl`);
+}
+
+// -> id записи
+function recordTranscript(entry) {
+  const id = makeRid() + makeRid();
+  try {
+    const file = transcriptFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify({ id, ts: isoNow(), ...entry }) + "\n");
+  } catch (e) {
+    errlog("-", "Could not write transcript:", e.message);
+  }
+  return id;
+}
+
+function updateTranscriptResult(id, result) {
+  if (!id) return;
+  try {
+    fs.appendFileSync(transcriptFile(), JSON.stringify({ update: id, result, ts: isoNow() }) + "\n");
+  } catch (e) {
+    errlog("-", "Could not update transcript:", e.message);
+  }
+}
+
+// Читаем весь файл тенанта, применяем update-строки. Фильтр: { chatId, leadId, q, from, to }
+function readTranscripts(filter = {}) {
+  let raw = "";
+  try {
+    raw = fs.readFileSync(transcriptFile(), "utf8");
+  } catch {
+    return [];
+  }
+
+  const byId = new Map();
+  for (const line of raw.split("\n")) {
+    const row = line ? safeJsonParse(line) : null;
+    if (!row) continue;
+    if (row.update) {
+      const target = byId.get(row.update);
+      if (target) Object.assign(target, { result: row.result, resultAt: row.ts });
+      continue;
+    }
+    byId.set(row.id, row);
+  }
+
+  const q = String(filter.q || "").toLowerCase();
+  return Array.from(byId.values()).filter((r) => {
+    if (filter.chatId && r.chatId !== filter.chatId) return false;
+    if (filter.leadId && String(r.leadId) !== String(filter.leadId)) return false;
+    if (filter.from && r.ts < filter.from) return false;
+    if (filter.to && r.ts > filter.to) return false;
+    if (q && !`${r.text || ""} ${r.sender || ""}`.toLowerCase().includes(q)) return false;
+    return true;
+  });
+}
+
+function describeLineMessagesForTranscript(messages) {
+  return messages.map((m) => (m.type === "text" ? m.text : m.type === "flex" ? `[flex] ${m.altText}` : `[${m.type}]`)).join("\n");
+}
+
+const TRANSCRIPT_CSV_COLUMNS = ["id", "ts", "direction", "chatId", "leadId", "type", "sender", "text", "result", "method"];
+
+function toCsv(rows, columns) {
+  const esc = (v) => {
+    const str = v === undefined || v === null ? "" : String(v);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [columns.join(","), ...rows.map((r) => columns.map((c) => esc(r[c])).join(","))].join("\n");
+}
+
+// -------------------- in-memory debug state --------------------
+const STATE = {
+  lastLineWebhook: null,
+  lastKommoWebhook: null,
+};
+
+// -------------------- webhook recorder --------------------
+// WEBHOOK_RECORD=1 -> полный raw body + заголовки каждого принятого вебхука в DATA_DIR/recordings/<tenant>/
+// (STATE хранит только превью последнего). Токены, подписи и cookies вырезаются, тело — нет: там персональные данные
+// клиентов, поэтому запись выключена по умолчанию, а файлы старше WEBHOOK_RECORD_RETENTION_HOURS удаляются.
+// Воспроизвести против локальных заглушек LINE / Kommo: npm run replay -- <файлы или папка>
+const RECORDING_REDACTED_HEADERS = ["authorization", "cookie", "x-bridge-token", "x-bridge-signature", "x-line-signature", "x-signature"];
+const RECORDING_REDACTED_QUERY = ["token"];
+const RECORDING_PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+let recordingsPrunedAt = 0;
+
+function getRecordingRetentionMs() {
+  return (toInt(process.env.WEBHOOK_RECORD_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+}
+
+// не чаще раза в RECORDING_PRUNE_INTERVAL_MS: проходим DATA_DIR/recordings/<tenant>/ и удаляем старые файлы
+function pruneWebhookRecordings() {
+  if (Date.now() - recordingsPrunedAt < RECORDING_PRUNE_INTERVAL_MS) return;
+  recordingsPrunedAt = Date.now();
+  const root = path.join(getDataDir(), "recordings");
+  const cutoff = Date.now() - getRecordingRetentionMs();
+  let removed = 0;
+  try {
+    for (const tenantDir of fs.readdirSync(root)) {
+      const dir = path.join(root, tenantDir);
+      if (!fs.statSync(dir).isDirectory()) continue;
+      for (const f of fs.readdirSync(dir)) {
+        const file = path.join(dir, f);
+        if (fs.statSync(file).mtimeMs < cutoff) {
+          fs.unlinkSync(file);
+          removed++;
+        }
+      }
+    }
+  } catch (e) {
+    if (e.code !== "ENOENT") warn("-", "Could not prune webhook recordings:", e.message);
+  }
+  if (removed) log("-", "Old webhook recordings deleted:", { removed });
+}
+
+function isWebhookRecordingEnabled() {
+  return process.env.WEBHOOK_RECORD === "1";
+}
+
+function redactRecordingPath(originalUrl) {
+  const u = new URL(originalUrl, "http://localhost");
+  for (const k of RECORDING_REDACTED_QUERY) {
+    if (u.searchParams.has(k)) u.searchParams.set(k, "[redacted]");
+  }
+  return `${u.pathname}${u.search}`;
+}
+
+// kind: "line" | "kommo" | "kommo_chats" | "kommo_status"
+function recordWebhook(kind, req, raw, rid) {
+  if (!isWebhookRecordingEnabled()) return;
+  const headers = {};
+  for (const [k, v] of Object.entries(req.headers || {})) {
+    headers[k] = RECORDING_REDACTED_HEADERS.includes(k) ? "[redacted]" : v;
+  }
+  const entry = {
+    kind, rid,
+    tenant: currentTenantId(),
+    recordedAt: isoNow(),
+    method: req.method,
+    path: redactRecordingPath(req.originalUrl),
+    params: req.params || {},
+    headers,
+    body: raw,
+  };
+  try {
+    const file = path.join(getDataDir(), "recordings", currentTenantId(), `${entry.recordedAt.replace(/[:.]/g, "-")}_${kind}_${rid}.json`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(entry, null, 2));
+    log(rid, "Webhook recorded:", { kind, file });
+    pruneWebhookRecordings();
+  } catch (e) {
+    errlog(rid, "Could not record webhook:", e.message);
+  }
+}
+
+// -------------------- auth --------------------
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a || ""));
+  const bb = Buffer.from(String(b || ""));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function getAdminToken() {
+  return process.env.ADMIN_TOKEN || "";
+}
+
+function getKommoWebhookSecret() {
+  return tenantEnv("KOMMO_WEBHOOK_SECRET");
+}
+
+function getKommoAllowedOrigins() {
+  return tenantEnv("KOMMO_ALLOWED_ORIGINS")
+    .split(",")
+    .map((o) => o.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+}
+
+// Bearer <token> или Basic (пароль = ADMIN_TOKEN, логин любой)
+function extractAdminCredential(req) {
+  const auth = req.header("authorization") || "";
+  const [scheme, value] = auth.split(" ");
+  if (/^bearer$/i.test(scheme)) return value || "";
+  if (/^basic$/i.test(scheme)) {
+    const decoded = Buffer.from(value || "", "base64").toString("utf8");
+    return decoded.slice(decoded.indexOf(":") + 1);
+  }
+  return "";
+}
+
+function requireAdmin(req, res, next) {
+  const token = getAdminToken();
+  if (!token) {
+    const rid = makeRid();
+    warn(rid, "Admin route rejected: ADMIN_TOKEN is not configured", { path: req.originalUrl, ip: req.ip });
+    return res.status(503).json({ ok: false, error: "ADMIN_TOKEN is not configured", rid });
+  }
+  if (safeEqual(extractAdminCredential(req), token)) return next();
+
+  const rid = makeRid();
+  warn(rid, "Admin route rejected: bad credentials", { path: req.originalUrl, ip: req.ip });
+  res.set("WWW-Authenticate", 'Basic realm="line-kommo-bridge"');
+  return res.status(401).json({ ok: false, error: "unauthorized", rid });
+}
+
+// ?token=, X-Bridge-Token или X-Bridge-Signature (HMAC тела). Без секрета — отказ (как requireAdmin без ADMIN_TOKEN).
+function verifyKommoWebhookAuth(req, rawBody) {
+  const secret = getKommoWebhookSecret();
+  if (!secret) return false;
+
+  const token = req.query?.token || req.header("x-bridge-token");
+  if (token && safeEqual(token, secret)) return true;
+
+  const signature = req.header("x-bridge-signature");
+  if (signature) {
+    const expected = crypto.createHmac("sha256", secret).update(rawBody || "").digest("hex");
+    if (safeEqual(signature.toLowerCase(), expected)) return true;
+  }
+  return false;
+}
+
+// false — ответ 401 уже отправлен
+function checkKommoWebhookAuth(req, res, rid, label) {
+  if (verifyKommoWebhookAuth(req, typeof req.body === "string" ? req.body : "")) return true;
+  if (!getKommoWebhookSecret()) {
+    errlog(rid, `${label} rejected: KOMMO_WEBHOOK_SECRET is not configured`, { tenant: currentTenantId(), path: req.originalUrl, ip: req.ip });
+  } else {
+    warn(rid, `${label} rejected: bad or missing token/signature`, { ip: req.ip, origin: req.header("origin") || null });
+  }
+  res.status(401).json({ ok: false, error: "unauthorized", rid });
+  return false;
+}
+
+app.use(["/debug", "/admin", "/metrics"], requireAdmin);
+
+// -------------------- routes: basic --------------------
+app.get("/", (req, res) => {
+  res.json({
+    ok: true,
+    service: "line-kommo-bridge",
+    endpoints: [
+      "/status",
+      "/metrics",
+      "/line/webhook",
+      "/line/webhook/:tenant",
+      "/kommo/webhook",
+      "/kommo/webhook/:tenant",
+      "/kommo/chats/webhook/:scopeId",
+      "/kommo/chats/webhook/:tenant/:scopeId",
+      "/debug/env",
+      "/debug/kommo",
+      "/debug/line",
+      "/debug/last-line",
+      "/debug/last-kommo",
+      "/debug/fields",
+      "/admin/queue",
+      "/admin/queue/dead",
+      "/admin/broadcast",
+      "/admin/scheduled",
+      "/conversations",
+      "/conversations/export",
+      "/conversations/:lineUserId",
+      "/oauth/kommo/start",
+      "/oauth/kommo/callback",
+    ],
+    ts: isoNow(),
+  });
+});
+
+app.get("/status", (req, res) => {
+  res.json({ ok: true, service: "line-kommo-bridge", timestamp: isoNow() });
+});
+
+// Prometheus scrape endpoint. Глубину очереди считаем в момент запроса
+app.get("/metrics", (req, res) => {
+  const db = QUEUE_STORE.get();
+  METRIC_VALUES.delete("line_bridge_queue_depth");
+  for (const tid of listTenantIds()) {
+    metricSeries("line_bridge_queue_depth", { tenant: tid, state: "pending" }).value = db.jobs.filter((j) => (j.tenant || DEFAULT_TENANT_ID) === tid).length;
+    metricSeries("line_bridge_queue_depth", { tenant: tid, state: "dead" }).value = db.dead.filter((j) => (j.tenant || DEFAULT_TENANT_ID) === tid).length;
+  }
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8").send(renderMetrics());
+});
+
+app.get("/debug/env", withTenant((req, res) => {
+  const kommoToken = getKommoToken();
+  const lineToken = getLineToken();
+  res.json({
+    ok: true,
+    TENANT: currentTenantId(),
+    TENANTS: listTenantIds(),
+    KOMMO_SUBDOMAIN: !!getKommoSubdomain(),
+    KOMMO_ACCESS_TOKEN_or_API_KEY: !!kommoToken,
+    KOMMO_TOKEN_MASK: maskToken(kommoToken),
+    KOMMO_TOKEN_SOURCE: getKommoOAuthTokens() ? "oauth" : kommoToken ? "env" : null,
+    KOMMO_TOKEN_EXPIRES_AT: getKommoOAuthTokens()?.expiresAt ? new Date(getKommoOAuthTokens().expiresAt).toISOString() : null,
+    KOMMO_OAUTH_CONFIGURED: isKommoOAuthConfigured(),
+    LINE_CHANNEL_SECRET: !!getLineSecret(),
+    LINE_CHANNEL_ACCESS_TOKEN: !!lineToken,
+    LINE_TOKEN_MASK: maskToken(lineToken),
+    KOMMO_PIPELINE_ID: getKommoPipelineId() || null,
+    KOMMO_STATUS_ID: getKommoStatusId() || null,
+    KOMMO_LINE_REPLY_FIELD_ID: getLineReplyFieldId() || null,
+    ts: isoNow(),
+  });
+}));
+
+// Помогает найти ID кастомного поля "LINE Reply"
+app.get("/debug/fields", withTenant(async (req, res) => {
+  const rid = makeRid();
+  try {
+    const data = await kommoGet("/leads/custom_fields", {}, rid);
+    const fields = data?._embedded?.custom_fields || [];
+    res.json({
+      ok: true,
+      count: fields.length,
+      fields: fields.map((f) => ({ id: f.id, name: f.name, type: f.type })),
+      rid,
+    });
+  } catch (e) {
+    res.status(500).json({
+      ok: false,
+      rid,
+      error: e?.response?.status
+        ? `HTTP ${e.response.status}: ${JSON.stringify(e.response.data)}`
+        : e.message,
+    });
+  }
+}));
+
+app.get("/debug/kommo", withTenant(async (req, res) => {
+  const rid = makeRid();
+  try {
+    if (!getKommoSubdomain() || !getKommoToken()) {
+      return res.status(400).json({ ok: false, error: "Kommo env is missing" });
+    }
+    // через kommoGet, чтобы заодно проверить OAuth refresh
+    const account = await kommoGet("/account", {}, rid);
+    res.json({ ok: true, account_id: account?.id, name: account?.name, rid });
+  } catch (e) {
+    res.status(500).json({
+      ok: false, rid,
+      error: e?.response?.status
+        ? `HTTP ${e.response.status}: ${JSON.stringify(e.response.data)}`
+        : e.message,
+    });
+  }
+}));
+
+app.get("/debug/line", withTenant(async (req, res) => {
+  const rid = makeRid();
+  try {
+    const tok = getLineToken();
+    if (!tok) return res.status(400).json({ ok: false, error: "LINE token missing" });
+    const r = await axios.get(`${getLineApiBaseUrl()}/v2/bot/info`, {
+      headers: { Authorization: `Bearer ${tok}` },
+      timeout: 10000,
+    });
+    res.json({ ok: true, status: r.status, bot: r.data, rid });
+  } catch (e) {
+    res.status(500).json({
+      ok: false, rid,
+      error: e?.response?.status
+        ? `HTTP ${e.response.status}: ${JSON.stringify(e.response.data)}`
+        : e.message,
+    });
+  }
+}));
+
+app.get("/debug/last-line", (req, res) => {
+  res.json({ ok: true, lastLineWebhook: STATE.lastLineWebhook || null, ts: isoNow() });
+});
+
+app.get("/debug/last-kommo", (req, res) => {
+  res.json({ ok: true, lastKommoWebhook: STATE.lastKommoWebhook || null, ts: isoNow() });
+});
+
+// -------------------- routes: conversations (transcripts) --------------------
+app.use("/conversations", requireAdmin);
+
+function transcriptFilterFromQuery(q) {
+  return {
+    chatId: q.lineUserId || q.chatId || null,
+    leadId: q.leadId || null,
+    q: q.q || null,
+    from: q.from || null,
+    to: q.to || null,
+  };
+}
+
+// поиск: ?q=текст&leadId=&from=ISO&to=ISO&limit=
+app.get("/conversations", withTenant((req, res) => {
+  const limit = Math.min(toInt(req.query.limit) || 100, 1000);
+  const rows = readTranscripts(transcriptFilterFromQuery(req.query));
+  res.json({ ok: true, tenant: currentTenantId(), total: rows.length, messages: rows.slice(-limit), ts: isoNow() });
+}));
+
+// экспорт: ?format=csv|json + те же фильтры
+app.get("/conversations/export", withTenant((req, res) => {
+  const rows = readTranscripts(transcriptFilterFromQuery(req.query));
+  const stamp = isoNow().slice(0, 10);
+  if (String(req.query.format || "json").toLowerCase() === "csv") {
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="line-transcripts-${currentTenantId()}-${stamp}.csv"`);
+    return res.send(toCsv(rows, TRANSCRIPT_CSV_COLUMNS));
+  }
+  res.set("Content-Disposition", `attachment; filename="line-transcripts-${currentTenantId()}-${stamp}.json"`);
+  res.json(rows);
+}));
+
+// таймлайн одного чата: ?limit=&before=ISO
+app.get("/conversations/:lineUserId", withTenant((req, res) => {
+  const limit = Math.min(toInt(req.query.limit) || 200, 1000);
+  const rows = readTranscripts({ chatId: req.params.lineUserId, to: req.query.before || null });
+  res.json({ ok: true, tenant: currentTenantId(), lineUserId: req.params.lineUserId, total: rows.length, messages: rows.slice(-limit), ts: isoNow() });
+}));
+
+// -------------------- routes: Kommo OAuth2 --------------------
+// Старт авторизации: редирект в Kommo, state привязывает ответ к тенанту
+app.get(["/oauth/kommo/start", "/oauth/kommo/start/:tenant"], withTenant((req, res) => {
+  if (!isKommoOAuthConfigured()) {
+    return res.status(400).json({ ok: false, error: "KOMMO_CLIENT_ID / KOMMO_CLIENT_SECRET / KOMMO_REDIRECT_URI missing" });
+  }
+  const state = `${currentTenantId()}.${crypto.randomBytes(12).toString("hex")}`;
+  KOMMO_OAUTH_STATES.set(state, { tenant: currentTenantId(), expiresAt: Date.now() + 15 * 60 * 1000 });
+  res.redirect(kommoOAuthAuthorizeUrl(state));
+}));
+
+// Kommo присылает ?code=&referer=<sub>.kommo.com&state= (или client_id при установке из настроек Kommo)
+app.get(["/oauth/kommo/callback", "/oauth/kommo/callback/:tenant"], (req, res, next) => {
+  const state = String(req.query.state || "");
+  if (state && !req.params.tenant) req.params.tenant = state.split(".")[0];
+  next();
+}, withTenant(async (req, res) => {
+  const rid = makeRid();
+  const code = String(req.query.code || "");
+  const state = String(req.query.state || "");
+
+  const issued = state ? KOMMO_OAUTH_STATES.get(state) : null;
+  if (state) KOMMO_OAUTH_STATES.delete(state);
+  const stateOk = issued && issued.tenant === currentTenantId() && issued.expiresAt > Date.now();
+  const clientOk = !state && req.query.client_id && safeEqual(req.query.client_id, tenantEnv("KOMMO_CLIENT_ID"));
+  if (!code || !isKommoOAuthConfigured() || (!stateOk && !clientOk)) {
+    warn(rid, "Kommo OAuth callback rejected:", { hasCode: !!code, stateOk: !!stateOk, clientOk: !!clientOk });
+    return res.status(400).json({ ok: false, error: "invalid OAuth callback", rid });
+  }
+
+  const referer = String(req.query.referer || "");
+  const subdomain = getKommoSubdomain() || referer.replace(/\.kommo\.com$/i, "");
+  if (!/^[\w-]+$/.test(subdomain)) {
+    return res.status(400).json({ ok: false, error: "Kommo subdomain unknown", rid });
+  }
+
+  try {
+    const tokens = await exchangeKommoAuthCode(code, subdomain, rid);
+    res.json({ ok: true, tenant: currentTenantId(), subdomain, expiresAt: new Date(tokens.expiresAt).toISOString(), rid });
+  } catch (e) {
+    errlog(rid, "❌ Kommo OAuth code exchange failed:", describeHttpError(e));
+    res.status(502).json({ ok: false, error: describeHttpError(e), rid });
+  }
+}));
+
+// -------------------- routes: admin (retry queue) --------------------
+app.get("/admin/queue", (req, res) => {
+  const db = QUEUE_STORE.get();
+  res.json({ ok: true, pending: db.jobs, pendingCount: db.jobs.length, deadCount: db.dead.length, ts: isoNow() });
+});
+
+app.get("/admin/queue/dead", (req, res) => {
+  const db = QUEUE_STORE.get();
+  res.json({ ok: true, count: db.dead.length, dead: db.dead, ts: isoNow() });
+});
+
+// replay всех dead-letter задач
+app.post("/admin/queue/dead/replay", (req, res) => {
+  const replayed = replayDeadJobs(null);
+  res.json({ ok: true, replayed, ts: isoNow() });
+});
+
+app.post("/admin/queue/dead/:id/replay", (req, res) => {
+  const replayed = replayDeadJobs([req.params.id]);
+  if (!replayed) return res.status(404).json({ ok: false, error: "dead job not found" });
+  res.json({ ok: true, replayed, ts: isoNow() });
+});
+
+app.delete("/admin/queue/dead/:id", (req, res) => {
+  const db = QUEUE_STORE.get();
+  const before = db.dead.length;
+  db.dead = db.dead.filter((j) => j.id !== req.params.id);
+  if (db.dead.length === before) return res.status(404).json({ ok: false, error: "dead job not found" });
+  QUEUE_STORE.save();
+  res.json({ ok: true, deleted: req.params.id, ts: isoNow() });
+});
+
+// -------------------- LINE signature verify --------------------
+function verifyLineSignature(bodyString, signature) {
+  const secret = getLineSecret();
+  if (!secret) return true; // если секрет не задан — пропускаем проверку
+  if (!signature) return false;
+
+  try {
+    const hash = crypto.createHmac("sha256", secret).update(bodyString).digest("base64");
+    return hash === signature;
+  } catch {
+    return false;
+  }
+}
+
+// -------------------- LINE API --------------------
+async function getLineProfile(lineUserId, rid) {
+  try {
+    const profile = await cachedLineApiGet(`/v2/bot/profile/${encodeURIComponent(lineUserId)}`);
+    if (profile) {
+      log(rid, "👤 LINE profile:", {
+        userId: profile.userId,
+        displayName: profile.displayName,
+      });
+    }
+    return profile;
+  } catch (e) {
+    warn(rid, "Could not fetch LINE profile:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+    return null;
+  }
+}
+
+async function lineApiGet(apiPath) {
+  const tok = getLineToken();
+  if (!tok) return null;
+  const r = await axios.get(`${getLineApiBaseUrl()}${apiPath}`, {
+    headers: { Authorization: `Bearer ${tok}` },
+    timeout: 10000,
+  });
+  return r.data || null;
+}
+
+// Профили / summary групп дёргаются на каждое сообщение -> кэш на LINE_PROFILE_CACHE_TTL_SEC.
+// Ошибки и пустые ответы не кэшируем.
+const LINE_PROFILE_CACHE = new Map(); // tenant:apiPath -> { value, expiresAt }
+const LINE_PROFILE_CACHE_MAX = 5000;
+
+function getLineProfileCacheTtlMs() {
+  return (toInt(tenantEnv("LINE_PROFILE_CACHE_TTL_SEC")) || 3600) * 1000;
+}
+
+async function cachedLineApiGet(apiPath) {
+  const key = tenantKey(apiPath);
+  const hit = LINE_PROFILE_CACHE.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.value;
+
+  const value = await lineApiGet(apiPath);
+  if (!value) return value;
+  if (LINE_PROFILE_CACHE.size >= LINE_PROFILE_CACHE_MAX) {
+    for (const [k, v] of LINE_PROFILE_CACHE) if (v.expiresAt <= Date.now()) LINE_PROFILE_CACHE.delete(k);
+    if (LINE_PROFILE_CACHE.size >= LINE_PROFILE_CACHE_MAX) LINE_PROFILE_CACHE.delete(LINE_PROFILE_CACHE.keys().next().value);
+  }
+  LINE_PROFILE_CACHE.set(key, { value, expiresAt: Date.now() + getLineProfileCacheTtlMs() });
+  return value;
+}
+
+async function getLineGroupSummary(groupId, rid) {
+  try {
+    return await cachedLineApiGet(`/v2/bot/group/${encodeURIComponent(groupId)}/summary`);
+  } catch (e) {
+    warn(rid, "Could not fetch LINE group summary:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+    return null;
+  }
+}
+
+// Профиль участника группы/комнаты (обычный /profile работает только для друзей бота)
+async function getLineMemberProfile(source, rid) {
+  if (!source?.userId) return null;
+  const scope = source.type === "room" ? `room/${encodeURIComponent(source.roomId)}` : `group/${encodeURIComponent(source.groupId)}`;
+  try {
+    return await cachedLineApiGet(`/v2/bot/${scope}/member/${encodeURIComponent(source.userId)}`);
+  } catch (e) {
+    warn(rid, "Could not fetch LINE member profile:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+    return null;
+  }
+}
+
+// Скачиваем бинарный контент (image/video/audio/file) из LINE
+async function getLineMessageContent(message, rid) {
+  // контент, который хостит сам клиент/провайдер (contentProvider.type === "external")
+  const external = message?.contentProvider?.type === "external" ? message.contentProvider.originalContentUrl : null;
+  const tok = getLineToken();
+  if (!external && !tok) {
+    errlog(rid, "LINE_CHANNEL_ACCESS_TOKEN missing -> cannot download content");
+    return null;
+  }
+  const url = external || `${getLineDataApiBaseUrl()}/v2/bot/message/${encodeURIComponent(message.id)}/content`;
+  const r = await axios.get(url, {
+    headers: external ? {} : { Authorization: `Bearer ${tok}` },
+    responseType: "arraybuffer",
+    timeout: 60000,
+    maxContentLength: 200 * 1024 * 1024,
+  });
+  const buffer = Buffer.from(r.data);
+  const contentType = String(r.headers?.["content-type"] || "application/octet-stream").split(";")[0].trim();
+  log(rid, "📥 LINE content downloaded:", { messageId: message.id, contentType, size: buffer.length });
+  return { buffer, contentType };
+}
+
+// X-Line-Retry-Key — один на задачу (runDurableJob): если LINE уже принял запрос, а до нас ответ не дошёл (таймаут),
+// повтор вернёт 409 вместо второй отправки клиенту. 409 с этим ключом = "уже отправлено".
+async function lineSendRequest(apiPath, body, retryKey, timeout) {
+  const tok = getLineToken();
+  if (!tok) throw new Error("LINE token missing");
+  const headers = { Authorization: `Bearer ${tok}`, "Content-Type": "application/json" };
+  if (retryKey) headers["X-Line-Retry-Key"] = retryKey;
+  try {
+    const r = await axios.post(`${getLineApiBaseUrl()}${apiPath}`, body, { headers, timeout });
+    return { status: r.status, duplicate: false };
+  } catch (e) {
+    if (!retryKey || e?.response?.status !== 409) throw e;
+    return { status: 409, duplicate: true, acceptedRequestId: e.response.headers?.["x-line-accepted-request-id"] || null };
+  }
+}
+
+async function linePushRequest({ to, messages, retryKey }, rid) {
+  const r = await lineSendRequest("/v2/bot/message/push", { to, messages }, retryKey, 10000);
+  log(rid, r.duplicate ? "✅ LINE push was already accepted (retry key):" : "✅ LINE push sent:", { to, status: r.status });
+  return r;
+}
+
+// multicast: до 500 userId за запрос (группы / комнаты так не отправить — только push)
+async function lineMulticastRequest({ to, messages, retryKey }, rid) {
+  const r = await lineSendRequest("/v2/bot/message/multicast", { to, messages }, retryKey, 15000);
+  log(rid, r.duplicate ? "✅ LINE multicast was already accepted (retry key):" : "✅ LINE multicast sent:", { recipients: to.length, status: r.status });
+  return r;
+}
+
+// -------------------- LINE reply tokens --------------------
+// Последний replyToken каждого чата: reply-сообщения бесплатные, push — идут в месячную квоту.
+// Токен одноразовый и живёт недолго, поэтому держим только в памяти.
+const LINE_REPLY_TOKENS = new Map(); // tenant:chatId -> { token, expiresAt }
+
+function getLineReplyTokenTtlMs() {
+  return (toInt(tenantEnv("LINE_REPLY_TOKEN_TTL_SEC")) || 55) * 1000;
+}
+
+function rememberLineReplyToken(chatId, replyToken, eventTimestamp) {
+  if (!chatId || !replyToken) return;
+  const receivedAt = toInt(eventTimestamp) || Date.now();
+  LINE_REPLY_TOKENS.set(tenantKey(chatId), { token: replyToken, expiresAt: receivedAt + getLineReplyTokenTtlMs() });
+}
+
+// токен одноразовый -> забираем его из map сразу
+function takeLineReplyToken(chatId) {
+  const entry = LINE_REPLY_TOKENS.get(tenantKey(chatId));
+  LINE_REPLY_TOKENS.delete(tenantKey(chatId));
+  if (!entry || entry.expiresAt <= Date.now()) return null;
+  return entry.token;
+}
+
+async function lineReplyRequest({ replyToken, messages }, rid) {
+  const tok = getLineToken();
+  if (!tok) throw new Error("LINE token missing");
+  const r = await axios.post(`${getLineApiBaseUrl()}/v2/bot/message/reply`, { replyToken, messages }, {
+    headers: { Authorization: `Bearer ${tok}`, "Content-Type": "application/json" },
+    timeout: 10000,
+  });
+  log(rid, "✅ LINE reply sent:", { status: r.status });
+  return { status: r.status };
+}
+
+function toLineMessages(textOrMessages) {
+  return typeof textOrMessages === "string" ? [{ type: "text", text: textOrMessages }] : textOrMessages;
+}
+
+// Сначала reply (если есть свежий токен и по чату ничего не ждёт в очереди), иначе / при отказе — sendLinePush.
+// -> результат sendLinePush + method: "reply" | "push"
+// opts.sender — кто отправил (для transcript): "agent" по умолчанию
+async function sendLineMessages(to, textOrMessages, rid, opts = {}) {
+  const messages = toLineMessages(textOrMessages);
+  const transcript = {
+    direction: "out",
+    chatId: to,
+    leadId: opts.leadId ? String(opts.leadId) : null,
+    type: messages.map((m) => m.type).join(","),
+    text: describeLineMessagesForTranscript(messages),
+    sender: opts.sender || "agent",
+  };
+
+  const replyToken = hasPendingJobs(`line:${to}`) ? null : takeLineReplyToken(to);
+  if (replyToken) {
+    try {
+      await lineReplyRequest({ replyToken, messages }, rid);
+      recordTranscript({ ...transcript, result: "sent", method: "reply" });
+      incMetric("line_bridge_outbound_messages_total", { method: "reply", result: "sent" });
+      log(rid, "LINE reply sent", { event: "line_send", direction: "out", method: "reply", chatId: to, leadId: transcript.leadId });
+      return { ok: true, method: "reply" };
+    } catch (e) {
+      const details = e?.response?.data ? JSON.stringify(e.response.data) : e.message;
+      const status = e?.response?.status;
+      // 4xx (токен протух / уже использован) — LINE точно ничего не отправил, push сразу.
+      // Таймаут / сеть / 5xx — reply мог и дойти, и нет. Выбираем at-least-once: push всё равно уходит (через
+      // очередь, спустя QUEUE_RETRY_BASE_MS), и если reply на самом деле дошёл — клиент получит сообщение дважды.
+      // X-Line-Retry-Key от этого не спасает: он убирает дубли только между повторами одного push, не reply + push
+      if (status >= 400 && status < 500) {
+        warn(rid, "LINE reply rejected -> fallback to push:", describeHttpError(e), details);
+      } else {
+        warn(rid, "LINE reply outcome unknown -> push deferred to the queue:", describeHttpError(e), details);
+        opts = { ...opts, defer: true };
+      }
+    }
+  }
+
+  const transcriptId = recordTranscript({ ...transcript, result: "sending", method: "push" });
+  const result = await sendLinePush(to, messages, rid, { ...opts, transcriptId });
+  const outcome = result.ok ? "sent" : result.queued ? "queued" : "failed";
+  updateTranscriptResult(transcriptId, outcome);
+  incMetric("line_bridge_outbound_messages_total", { method: "push", result: outcome });
+  (result.ok ? log : warn)(rid, `LINE push ${outcome}`, { event: "line_send", direction: "out", method: "push", chatId: to, leadId: transcript.leadId, result: outcome });
+  return { ...result, method: "push" };
+}
+
+// Отправка идёт через durable queue: при 429/5xx/таймауте сообщение будет доотправлено позже.
+// textOrMessages — строка или готовый массив LINE message objects.
+// opts.leadId — куда написать "[LINE sent]", если доставка случится уже из очереди
+// opts.failureTask = false — если очередь сдастся, только заметка "[LINE failed]" без задачи агенту
+async function sendLinePush(to, textOrMessages, rid, opts = {}) {
+  if (!getLineToken()) {
+    errlog(rid, "LINE_CHANNEL_ACCESS_TOKEN missing -> cannot send");
+    return { ok: false, error: "LINE token missing" };
+  }
+  const payload = {
+    to,
+    ...(opts.retryKey ? { retryKey: opts.retryKey } : {}),
+    ...(opts.failureTask === false ? { failureTask: false } : {}),
+    messages: toLineMessages(textOrMessages),
+    leadId: opts.leadId ? String(opts.leadId) : null,
+    transcriptId: opts.transcriptId || null,
+  };
+  return await runDurableJob("line_push", payload, { orderKey: `line:${to}`, rid, defer: !!opts.defer });
+}
+
+// -------------------- LINE delivery status -> Kommo lead --------------------
+// Каждая исходящая попытка видна на лиде: поле статуса (sent / queued / failed),
+// при провале — заметка "[LINE failed: причина]" и задача ответственному.
+const LINE_FAILURE_TASK_DUE_MINUTES = 60;
+
+function getLineStatusFieldId() {
+  return toInt(tenantEnv("KOMMO_LINE_STATUS_FIELD_ID"));
+}
+
+// Ошибка LINE API -> причина, понятная агенту. details — тело ответа LINE (JSON-строка) или текст ошибки
+function describeLineSendError(status, details) {
+  const message = String(safeJsonParse(details)?.message || details || "");
+  if (/token missing/i.test(message)) return "LINE channel access token is not configured";
+  if (status === 401) return "bad LINE channel access token (invalid or expired)";
+  if (status === 429 && /monthly limit/i.test(message)) return "monthly LINE message quota exceeded";
+  if (status === 429) return "LINE rate limit reached";
+  if (status === 403) return "client has blocked the bot or is not a friend of the LINE account";
+  if (status === 400 && /'to'|recipient|user id/i.test(message)) return "invalid recipient: this LINE chat ID does not belong to the channel";
+  if (status === 400) return `LINE rejected the message (${message || "bad request"})`;
+  if (!status || status >= 500) return "LINE could not be reached (network error or LINE outage)";
+  return `LINE error HTTP ${status}${message ? ` (${message})` : ""}`;
+}
+
+async function setLeadLineStatus(leadId, status, rid) {
+  const fieldId = getLineStatusFieldId();
+  if (!fieldId || !leadId) return;
+  try {
+    await kommoPatch("/leads", [{ id: toInt(leadId), custom_fields_values: [{ field_id: fieldId, values: [{ value: status }] }] }], rid);
+  } catch (e) {
+    warn(rid, "Could not set LINE status field:", { leadId, status }, describeHttpError(e));
+  }
+}
+
+// opts.task = false — только заметка и статус (рассылки, автоответы)
+async function reportLineDeliveryFailure(leadId, { reason, text }, rid, opts = {}) {
+  warn(rid, "LINE delivery failed:", { event: "line_delivery_failed", leadId, reason });
+  try {
+    await addLeadNote(toInt(leadId), `[LINE failed: ${reason}] ${text}`, rid);
+  } catch (e) {
+    warn(rid, "Could not add '[LINE failed]' note:", e.message);
+  }
+  await setLeadLineStatus(leadId, "failed", rid);
+  if (opts.task === false) return;
+  try {
+    await createKommoLeadTask(leadId, { text: `LINE message was not delivered: ${reason}. Please contact the client another way or resend.`, dueMinutes: LINE_FAILURE_TASK_DUE_MINUTES }, rid);
+  } catch (e) {
+    warn(rid, "Could not create LINE failure task:", { leadId }, describeHttpError(e));
+  }
+}
+
+// -------------------- LINE outbound markup --------------------
+// Разметка в поле "LINE Reply" -> LINE message objects. Директива занимает отдельную строку:
+//   [image https://site/photo.jpg]                      (опционально второй URL — превью)
+//   [location -8.7554,115.4745 | Kelingking Beach | Nusa Penida]
+//   [flex booking_confirmed]                            (templates/booking_confirmed.json)
+//   [quick Confirm booking | Change date = I want to change the date]
+// Остальные строки — обычный текст. Quick reply цепляется к последнему сообщению.
+const LINE_MAX_MESSAGES = 5;
+const LINE_MAX_TEXT = 5000;
+const LINE_MAX_QUICK_ITEMS = 13;
+const LINE_MAX_QUICK_LABEL = 20;
+const LINE_MAX_ALT_TEXT = 400;
+
+function getTemplatesDir() {
+  const dir = tenantEnv("LINE_TEMPLATES_DIR");
+  return dir ? resolveConfigPath(dir) : path.join(__dirname, "templates");
+}
+
+// templates/<name>.json: либо целое flex-сообщение { type: "flex", altText, contents }, либо bubble/carousel
+function loadFlexTemplate(name) {
+  if (!/^[\w-]+$/.test(name)) throw new Error(`bad template name "${name}"`);
+  const file = path.join(getTemplatesDir(), `${name}.json`);
+  if (!fs.existsSync(file)) throw new Error(`template "${name}" not found`);
+  const tpl = safeJsonParse(fs.readFileSync(file, "utf8"));
+  if (!tpl || typeof tpl !== "object") throw new Error(`template "${name}" is not valid JSON`);
+  if (tpl.type === "flex") return tpl;
+  return { type: "flex", altText: name, contents: tpl };
+}
+
+function isHttpsUrl(v) {
+  return typeof v === "string" && /^https:\/\/\S+$/.test(v) && v.length <= 2000;
+}
+
+const LINE_MARKUP_DIRECTIVES = {
+  image: (arg) => {
+    const [original, preview] = arg.split(/\s+/);
+    return { type: "image", originalContentUrl: original, previewImageUrl: preview || original };
+  },
+  location: (arg) => {
+    const [coords, title, address] = arg.split("|").map((x) => x.trim());
+    const [lat, lng] = (coords || "").split(",").map((x) => Number(x.trim()));
+    return { type: "location", title: title || "Location", address: address || title || "-", latitude: lat, longitude: lng };
+  },
+  flex: (arg) => loadFlexTemplate(arg.trim()),
+};
+
+function parseQuickReplyItems(arg) {
+  return arg
+    .split("|")
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const eq = item.indexOf("=");
+      const label = (eq >= 0 ? item.slice(0, eq) : item).trim();
+      const text = (eq >= 0 ? item.slice(eq + 1) : item).trim();
+      return { type: "action", action: { type: "message", label, text } };
+    });
+}
+
+// Проверяем то, на что LINE всё равно ответит 400 — чтобы агент увидел понятную причину
+function validateLineMessages(messages) {
+  const errors = [];
+  if (!messages.length) errors.push("message is empty");
+  if (messages.length > LINE_MAX_MESSAGES) errors.push(`too many messages: ${messages.length} (max ${LINE_MAX_MESSAGES})`);
+
+  messages.forEach((m, i) => {
+    const at = `#${i + 1} ${m.type}`;
+    if (m.type === "text" && (!m.text || m.text.length > LINE_MAX_TEXT)) errors.push(`${at}: text must be 1..${LINE_MAX_TEXT} chars`);
+    if (m.type === "image") {
+      if (!isHttpsUrl(m.originalContentUrl)) errors.push(`${at}: image URL must be https`);
+      if (!isHttpsUrl(m.previewImageUrl)) errors.push(`${at}: preview URL must be https`);
+    }
+    if (m.type === "location") {
+      if (!(Math.abs(m.latitude) <= 90) || !(Math.abs(m.longitude) <= 180)) errors.push(`${at}: bad coordinates`);
+      if (m.title.length > 100 || m.address.length > 100) errors.push(`${at}: title/address max 100 chars`);
+    }
+    if (m.type === "flex") {
+      if (!m.contents || !["bubble", "carousel"].includes(m.contents.type)) errors.push(`${at}: contents must be bubble or carousel`);
+      if (!isNonEmptyString(m.altText) || m.altText.length > LINE_MAX_ALT_TEXT) errors.push(`${at}: altText must be 1..${LINE_MAX_ALT_TEXT} chars`);
+    }
+    const items = m.quickReply?.items || [];
+    if (items.length > LINE_MAX_QUICK_ITEMS) errors.push(`${at}: max ${LINE_MAX_QUICK_ITEMS} quick replies`);
+    for (const it of items) {
+      const label = it.action?.label || "";
+      if (!label || label.length > LINE_MAX_QUICK_LABEL) errors.push(`${at}: quick reply label "${label}" must be 1..${LINE_MAX_QUICK_LABEL} chars`);
+    }
+  });
+  return errors;
+}
+
+// -> { messages, errors }
+function parseLineReplyMarkup(raw) {
+  const messages = [];
+  const errors = [];
+  let textLines = [];
+  let quickItems = [];
+
+  const flushText = () => {
+    const text = textLines.join("\n").trim();
+    if (text) messages.push({ type: "text", text });
+    textLines = [];
+  };
+
+  for (const line of String(raw || "").split(/\r?\n/)) {
+    const m = line.trim().match(/^\[(image|location|flex|quick)[:\s]\s*(.*)\]$/i);
+    if (!m) {
+      textLines.push(line);
+      continue;
+    }
+    flushText();
+    const directive = m[1].toLowerCase();
+    if (directive === "quick") {
+      quickItems = quickItems.concat(parseQuickReplyItems(m[2]));
+      continue;
+    }
+    try {
+      messages.push(LINE_MARKUP_DIRECTIVES[directive](m[2]));
+    } catch (e) {
+      errors.push(`[${directive}] ${e.message}`);
+    }
+  }
+  flushText();
+
+  if (quickItems.length) {
+    if (messages.length) messages[messages.length - 1].quickReply = { items: quickItems };
+    else errors.push("quick reply needs a message to attach to");
+  }
+
+  return { messages, errors: errors.concat(validateLineMessages(messages)) };
+}
+
+// -------------------- KOMMO API --------------------
+function kommoBaseUrl() {
+  const sub = getKommoSubdomain();
+  if (!sub) return "";
+  return `${kommoAccountOrigin(sub)}/api/v4`;
+}
+
+function kommoHeaders() {
+  return {
+    Authorization: `Bearer ${getKommoToken()}`,
+    "Content-Type": "application/json",
+    Accept: "application/json",
+  };
+}
+
+const KOMMO_INLINE_RETRIES = 2;
+
+// Запрос к Kommo с короткими повторами на 429/5xx (для durable queue передаём retries: 0).
+// 401 при OAuth -> один refresh токена и повтор.
+// baseUrl — другой хост Kommo с тем же токеном (Drive); по умолчанию /api/v4 аккаунта
+async function kommoRequest(method, path, { params, data, retries = KOMMO_INLINE_RETRIES, baseUrl } = {}, rid) {
+  await ensureFreshKommoToken(rid);
+  const base = baseUrl || kommoBaseUrl();
+  if (!base || !getKommoToken()) throw new Error("KOMMO creds missing");
+  let refreshed = false;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const r = await axios.request({
+        method,
+        url: `${base}${path}`,
+        headers: kommoHeaders(),
+        params: params || {},
+        data,
+        timeout: 15000,
+      });
+      return r.data;
+    } catch (e) {
+      if (e?.response?.status === 401 && !refreshed && canRefreshKommoToken()) {
+        refreshed = true;
+        warn(rid, `[KOMMO] ${method.toUpperCase()} ${path} -> 401, refreshing OAuth token`);
+        await refreshKommoToken(rid);
+        attempt--;
+        continue;
+      }
+      if (attempt >= retries || !isRetryableHttpError(e)) throw e;
+      const delay = retryDelayMs(e, attempt, 1000, 15000);
+      warn(rid, `[KOMMO] ${method.toUpperCase()} ${path} failed (${describeHttpError(e)}), retry in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+async function kommoGet(path, params, rid) {
+  return await kommoRequest("get", path, { params }, rid);
+}
+
+async function kommoPost(path, data, rid, opts = {}) {
+  return await kommoRequest("post", path, { data, ...opts }, rid);
+}
+
+async function kommoPatch(path, data, rid) {
+  return await kommoRequest("patch", path, { data }, rid);
+}
+
+// -------------------- Kommo OAuth2 --------------------
+// Токены храним на диске (по тенанту): { accessToken, refreshToken, expiresAt, subdomain, updatedAt }
+const KOMMO_OAUTH_STORE = openJsonStore("kommo-oauth.json", () => ({ tenants: {} }));
+const KOMMO_OAUTH_STATES = new Map(); // state -> { tenant, expiresAt }
+const KOMMO_REFRESHES = new Map(); // tenant -> Promise (один refresh на тенант одновременно)
+
+function kommoOAuthDb() {
+  return tenantSlot(KOMMO_OAUTH_STORE, () => ({}));
+}
+
+function getKommoOAuthTokens() {
+  const db = kommoOAuthDb();
+  return db.accessToken ? db : null;
+}
+
+function isKommoOAuthConfigured() {
+  return !!tenantEnv("KOMMO_CLIENT_ID") && !!tenantEnv("KOMMO_CLIENT_SECRET") && !!tenantEnv("KOMMO_REDIRECT_URI");
+}
+
+function canRefreshKommoToken() {
+  return isKommoOAuthConfigured() && !!getKommoOAuthTokens()?.refreshToken;
+}
+
+async function requestKommoTokens(subdomain, body, rid) {
+  const r = await axios.post(
+    `${kommoAccountOrigin(subdomain)}/oauth2/access_token`,
+    {
+      client_id: tenantEnv("KOMMO_CLIENT_ID"),
+      client_secret: tenantEnv("KOMMO_CLIENT_SECRET"),
+      redirect_uri: tenantEnv("KOMMO_REDIRECT_URI"),
+      ...body,
+    },
+    { headers: { "Content-Type": "application/json" }, timeout: 15000 }
+  );
+  const t = r.data || {};
+  if (!t.access_token) throw new Error("Kommo OAuth: access_token missing");
+
+  const db = kommoOAuthDb();
+  db.accessToken = t.access_token;
+  db.refreshToken = t.refresh_token || db.refreshToken || null;
+  db.expiresAt = Date.now() + (toInt(t.expires_in) || 86400) * 1000;
+  db.subdomain = subdomain;
+  db.updatedAt = isoNow();
+  KOMMO_OAUTH_STORE.save();
+  log(rid, "✅ Kommo OAuth tokens stored:", { subdomain, expiresAt: new Date(db.expiresAt).toISOString() });
+  return db;
+}
+
+async function exchangeKommoAuthCode(code, subdomain, rid) {
+  return await requestKommoTokens(subdomain, { grant_type: "authorization_code", code }, rid);
+}
+
+async function refreshKommoToken(rid) {
+  const tid = currentTenantId();
+  if (KOMMO_REFRESHES.has(tid)) return await KOMMO_REFRESHES.get(tid);
+
+  const tokens = getKommoOAuthTokens();
+  const subdomain = getKommoSubdomain();
+  const p = requestKommoTokens(subdomain, { grant_type: "refresh_token", refresh_token: tokens?.refreshToken }, rid)
+    .catch((e) => {
+      errlog(rid, "❌ Kommo OAuth refresh failed:", describeHttpError(e));
+      throw e;
+    })
+    .finally(() => KOMMO_REFRESHES.delete(tid));
+  KOMMO_REFRESHES.set(tid, p);
+  return await p;
+}
+
+// за минуту до истечения обновляем заранее, чтобы не ловить 401 посреди обработки
+async function ensureFreshKommoToken(rid) {
+  const tokens = getKommoOAuthTokens();
+  if (!tokens?.expiresAt || tokens.expiresAt - Date.now() > 60 * 1000 || !canRefreshKommoToken()) return;
+  try {
+    await refreshKommoToken(rid);
+  } catch {
+    // старый токен ещё может сработать; если нет — kommoRequest получит 401
+  }
+}
+
+function kommoOAuthAuthorizeUrl(state) {
+  const q = querystring.stringify({ client_id: tenantEnv("KOMMO_CLIENT_ID"), state, mode: "post_message" });
+  return `https://www.kommo.com/oauth?${q}`;
+}
+
+// -------------------- Kommo Drive (files) --------------------
+const KOMMO_DRIVE_URLS = new Map(); // tenant -> drive_url
+
+async function getKommoDriveUrl(rid) {
+  const cached = KOMMO_DRIVE_URLS.get(currentTenantId());
+  if (cached) return cached;
+  const data = await kommoGet("/account", { with: "drive_url" }, rid);
+  const url = data?.drive_url;
+  if (!url) throw new Error("Kommo drive_url missing");
+  KOMMO_DRIVE_URLS.set(currentTenantId(), url.replace(/\/+$/, ""));
+  return KOMMO_DRIVE_URLS.get(currentTenantId());
+}
+
+// Загружаем файл в Kommo Drive через upload-сессию, возвращаем { uuid, version_uuid, name }
+async function uploadFileToKommoDrive(buffer, fileName, contentType, rid) {
+  const driveUrl = await getKommoDriveUrl(rid);
+  // сессия — через kommoRequest (refresh OAuth на 401); upload_url уже подписан, части грузим без токена
+  const session = await kommoRequest(
+    "post",
+    "/v1.0/sessions",
+    { data: { file_name: fileName, file_size: buffer.length, content_type: contentType }, baseUrl: driveUrl },
+    rid
+  );
+
+  let uploadUrl = session?.upload_url;
+  const partSize = toInt(session?.max_part_size) || 512 * 1024;
+  if (!uploadUrl) throw new Error("Kommo Drive: upload_url missing");
+
+  let offset = 0;
+  let last = null;
+  while (offset < buffer.length) {
+    const part = buffer.subarray(offset, offset + partSize);
+    const r = await axios.post(uploadUrl, part, {
+      headers: { "Content-Type": "application/octet-stream" },
+      timeout: 60000,
+      maxBodyLength: Infinity,
+    });
+    last = r.data;
+    offset += part.length;
+    if (offset < buffer.length) {
+      uploadUrl = last?.next_url;
+      if (!uploadUrl) throw new Error("Kommo Drive: next_url missing");
+    }
+  }
+
+  if (!last?.uuid) throw new Error("Kommo Drive: file uuid missing");
+  log(rid, "[KOMMO] file uploaded to Drive:", { uuid: last.uuid, name: fileName, size: buffer.length });
+  return { uuid: last.uuid, version_uuid: last.version_uuid || null, name: last.name || fileName };
+}
+
+async function attachFileToLead(leadId, fileUuid, rid) {
+  const data = await kommoRequest("put", `/leads/${leadId}/files`, { data: [{ file_uuid: fileUuid }] }, rid);
+  log(rid, "[KOMMO] file attached to lead:", { leadId, fileUuid });
+  return data;
+}
+
+// -------------------- Kommo Chats API (amojo) --------------------
+// Опциональный режим: LINE-чаты видны в нативном чате Kommo. Если отправить в amojo не вышло —
+// остаётся старый путь (заметка на лиде + поле "LINE Reply").
+const KOMMO_CHATS_STORE = openJsonStore("kommo-chats.json", () => ({ tenants: {} }));
+
+function isKommoChatsMode() {
+  return tenantEnv("KOMMO_CHATS_MODE") === "1" && !!getKommoChannelId() && !!getKommoChannelSecret();
+}
+
+function getKommoChannelId() {
+  return tenantEnv("KOMMO_CHANNEL_ID");
+}
+
+function getKommoChannelSecret() {
+  return tenantEnv("KOMMO_CHANNEL_SECRET");
+}
+
+// Подпись amojo: HMAC-SHA1(secret, "METHOD\nContent-MD5\nContent-Type\nDate\npath") в hex
+function amojoHeaders(method, apiPath, body) {
+  const contentType = "application/json";
+  const md5 = crypto.createHash("md5").update(body).digest("hex");
+  const date = new Date().toUTCString();
+  const str = [method.toUpperCase(), md5, contentType, date, apiPath].join("\n");
+  return {
+    Date: date,
+    "Content-Type": contentType,
+    "Content-MD5": md5,
+    "X-Signature": crypto.createHmac("sha1", getKommoChannelSecret()).update(str).digest("hex"),
+  };
+}
+
+async function amojoPost(apiPath, data, rid) {
+  const body = JSON.stringify(data);
+  const r = await axios.post(`${getKommoAmojoBaseUrl()}${apiPath}`, body, {
+    headers: amojoHeaders("POST", apiPath, body),
+    timeout: 15000,
+  });
+  return r.data;
+}
+
+async function getKommoAmojoId(rid) {
+  if (tenantEnv("KOMMO_AMOJO_ID")) return tenantEnv("KOMMO_AMOJO_ID");
+  const data = await kommoGet("/account", { with: "amojo_id" }, rid);
+  if (!data?.amojo_id) throw new Error("Kommo amojo_id missing");
+  return data.amojo_id;
+}
+
+// scope_id = channel_id + amojo_id; получаем один раз через /connect и храним на диске
+async function ensureKommoChatsScopeId(rid) {
+  if (tenantEnv("KOMMO_CHANNEL_SCOPE_ID")) return tenantEnv("KOMMO_CHANNEL_SCOPE_ID");
+  const db = tenantSlot(KOMMO_CHATS_STORE, () => ({ scopeId: null, connectedAt: null }));
+  if (db.scopeId) return db.scopeId;
+
+  const amojoId = await getKommoAmojoId(rid);
+  const data = await amojoPost(
+    `/v2/origin/custom/${getKommoChannelId()}/connect`,
+    { account_id: amojoId, title: "LINE", hook_api_version: "v2" },
+    rid
+  );
+  if (!data?.scope_id) throw new Error("Kommo Chats connect: scope_id missing");
+  db.scopeId = data.scope_id;
+  db.connectedAt = isoNow();
+  KOMMO_CHATS_STORE.save();
+  log(rid, "✅ Kommo Chats channel connected:", { scopeId: db.scopeId });
+  return db.scopeId;
+}
+
+// Входящее сообщение клиента -> чат Kommo. conversation_id = LINE chatId
+// В группе conversation_id = groupId, а sender — конкретный участник
+async function sendToKommoChats({ lineChatId, senderId, senderProfile, messageId, text, timestampMs }, rid) {
+  const scopeId = await ensureKommoChatsScopeId(rid);
+  const ts = timestampMs || Date.now();
+  const sid = senderId || lineChatId;
+  const sender = { id: sid, name: senderProfile?.displayName || `LINE ${sid}` };
+  if (senderProfile?.pictureUrl) sender.avatar = senderProfile.pictureUrl;
+
+  await amojoPost(
+    `/v2/origin/custom/${scopeId}`,
+    {
+      event_type: "new_message",
+      payload: {
+        timestamp: Math.floor(ts / 1000),
+        msec_timestamp: ts,
+        msgid: messageId || `${lineChatId}-${ts}`,
+        conversation_id: lineChatId,
+        sender,
+        message: { type: "text", text },
+        silent: false,
+      },
+    },
+    rid
+  );
+  log(rid, "✅ LINE message sent to Kommo Chats:", { lineChatId, messageId });
+}
+
+function verifyKommoChatsSignature(rawBody, signature) {
+  if (!signature) return false;
+  const expected = crypto.createHmac("sha1", getKommoChannelSecret()).update(rawBody || "").digest("hex");
+  return safeEqual(String(signature).toLowerCase(), expected);
+}
+
+// Сообщение агента из нативного чата Kommo -> LINE messages
+function kommoChatMessageToLine(message) {
+  const m = message || {};
+  if (m.type === "picture" && isHttpsUrl(m.media)) {
+    return { messages: [{ type: "image", originalContentUrl: m.media, previewImageUrl: m.media }], errors: [] };
+  }
+  if (["file", "video", "voice", "audio"].includes(m.type) && m.media) {
+    const label = m.file_name || m.type;
+    return parseLineReplyMarkup(`${m.text ? `${m.text}\n` : ""}${label}: ${m.media}`);
+  }
+  return parseLineReplyMarkup(m.text || "");
+}
+
+// -------------------- Kommo helpers --------------------
+function contactHasTag(contact, tagName) {
+  const tags = contact?._embedded?.tags || [];
+  return tags.some((t) => t?.name === tagName);
+}
+
+function extractLineUserIdFromTags(tags) {
+  const arr = Array.isArray(tags) ? tags : [];
+  // 1) новый формат на лиде
+  for (const t of arr) {
+    const n = t?.name || "";
+    if (n.startsWith(TAG_LINE_CHATID_PREFIX)) return n.slice(TAG_LINE_CHATID_PREFIX.length);
+  }
+  // 2) legacy формат на контакте (и иногда на лиде)
+  for (const t of arr) {
+    const n = t?.name || "";
+    if (n.startsWith(TAG_LINE_UID_PREFIX)) return n.slice(TAG_LINE_UID_PREFIX.length);
+  }
+  return null;
+}
+
+function extractLineUserIdFromContact(contact) {
+  const tags = contact?._embedded?.tags || [];
+  return extractLineUserIdFromTags(tags);
+}
+
+async function findKommoContactByLineUserId(lineUserId, rid) {
+  const q = `${TAG_LINE_UID_PREFIX}${lineUserId}`;
+  log(rid, "[KOMMO] find contact by query:", q);
+  const data = await kommoGet("/contacts", { query: q, limit: 10, with: "tags" }, rid);
+  const contacts = data?._embedded?.contacts || [];
+  if (!contacts.length) return null;
+  return contacts.find((c) => contactHasTag(c, q)) || contacts[0];
+}
+
+// "[LINE] Name" для клиента, "[LINE group] Name" / "[LINE room] ..." для групп и комнат
+function lineConversationName(lineUserId, profile) {
+  const displayName = profile?.displayName || `LINE ${lineUserId}`;
+  const prefix = profile?.kind === "group" || profile?.kind === "room" ? `[LINE ${profile.kind}]` : "[LINE]";
+  return `${prefix} ${displayName}`.slice(0, 250);
+}
+
+function isLineGroupProfile(profile) {
+  return profile?.kind === "group" || profile?.kind === "room";
+}
+
+async function createKommoContactFromLine(lineUserId, profile, rid) {
+  const name = lineConversationName(lineUserId, profile);
+  const tags = [
+    { name: TAG_LINE },
+    { name: `${TAG_LINE_UID_PREFIX}${lineUserId}` },
+    { name: `${TAG_LINE_CHATID_PREFIX}${lineUserId}` }, // сохраняем и новым тегом
+  ];
+  if (isLineGroupProfile(profile)) tags.push({ name: TAG_LINE_GROUP });
+  const payload = [{ name, _embedded: { tags } }];
+  log(rid, "[KOMMO] creating contact:", { name });
+  const created = await kommoPost("/contacts", payload, rid);
+  const contact = created?._embedded?.contacts?.[0] || (Array.isArray(created) ? created[0] : null) || null; return contact;
+}
+// Контакт из локального mapping store (по ID, без full-text поиска)
+async function getMappedKommoContact(lineUserId, rid) {
+  const contactId = getLineMapping(lineUserId)?.contactId;
+  if (!contactId) return null;
+  try {
+    const contact = await getKommoContactById(contactId, rid);
+    if (contact?.id) return contact;
+  } catch (e) {
+    warn(rid, "[MAP] Mapped contact not available:", { contactId, error: e?.response?.status ? `HTTP ${e.response.status}` : e.message });
+    if (e?.response?.status !== 404 && e?.response?.status !== 204) return null;
+  }
+  forgetLineMapping(lineUserId, "contactId");
+  return null;
+}
+
+async function ensureKommoContact(lineUserId, profile, rid) {
+  let contact = await getMappedKommoContact(lineUserId, rid);
+  if (contact) {
+    log(rid, "[MAP] contact from local store:", { id: contact.id, name: contact.name });
+    saveLineMapping(lineUserId, { contactId: contact.id });
+    return contact;
+  }
+
+  try {
+    contact = await findKommoContactByLineUserId(lineUserId, rid);
+  } catch (e) {
+    errlog(rid, "[KOMMO] Error searching contacts:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+  }
+
+  if (!contact) {
+    try {
+      contact = await createKommoContactFromLine(lineUserId, profile, rid);
+      log(rid, "✅ Kommo contact created:", { id: contact?.id, name: contact?.name });
+    } catch (e) {
+      errlog(rid, "[KOMMO] Failed to create contact:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+      return null;
+    }
+  } else {
+    log(rid, "[KOMMO] contact found:", { id: contact.id, name: contact.name });
+  }
+  if (contact?.id) saveLineMapping(lineUserId, { contactId: contact.id });
+  return contact;
+}
+
+function leadHasTag(lead, tagName) {
+  const tags = lead?._embedded?.tags || [];
+  return tags.some((t) => t?.name === tagName);
+}
+
+async function findLeadsByContact(contactId, rid) {
+  const params = {
+    "filter[contacts][id]": contactId,
+    limit: 50,
+    with: "contacts,tags",
+    "order[updated_at]": "desc",
+  };
+  const pipelineId = getKommoPipelineId();
+  if (pipelineId) params["filter[pipeline_id]"] = pipelineId;
+  const data = await kommoGet("/leads", params, rid);
+  return data?._embedded?.leads || [];
+}
+
+async function createLineChatLead(contactId, profile, lineUserId, rid) {
+  const pipelineId = getKommoPipelineId();
+  const statusId = getKommoStatusId();
+  const leadName = lineConversationName(lineUserId, profile);
+
+  const tags = [
+    { name: TAG_LINE },
+    { name: TAG_LINE_CHAT },
+    { name: `${TAG_LINE_CHATID_PREFIX}${lineUserId}` }, // чтобы отправка работала даже если main contact другой
+  ];
+  if (isLineGroupProfile(profile)) tags.push({ name: TAG_LINE_GROUP });
+
+  const lead = {
+    name: leadName,
+    _embedded: { contacts: [{ id: contactId }], tags },
+  };
+  if (pipelineId) lead.pipeline_id = pipelineId;
+  if (statusId) lead.status_id = statusId;
+
+  const created = await kommoPost("/leads", [lead], rid);
+  return created?._embedded?.leads?.[0] || (Array.isArray(created) ? created[0] : null) || null;
+}
+
+// -> "won" | "lost" | null
+function getLeadClosedState(lead) {
+  const statusId = toInt(lead?.status_id);
+  if (!statusId) return null;
+  if (getKommoWonStatusIds().includes(statusId)) return "won";
+  if (getKommoLostStatusIds().includes(statusId)) return "lost";
+  return null;
+}
+
+function kommoLeadUrl(leadId) {
+  return `${kommoAccountOrigin()}/leads/detail/${leadId}`;
+}
+
+// Chat leads контакта: open — куда писать, closed — последний закрытый (ссылка / reopen)
+async function findLineChatLeads(contactId, rid) {
+  let leads = [];
+  try {
+    leads = await findLeadsByContact(contactId, rid);
+  } catch (e) {
+    errlog(rid, "[KOMMO] Error searching leads:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+  }
+  const pick = (list) => list.find((l) => leadHasTag(l, TAG_LINE_CHAT)) || list[0] || null;
+  return {
+    open: pick(leads.filter((l) => !getLeadClosedState(l))),
+    closed: pick(leads.filter((l) => getLeadClosedState(l))),
+  };
+}
+
+// Ищем существующий chat lead контакта (без создания); закрытый — только если открытых нет
+async function findLineChatLead(contactId, rid) {
+  const { open, closed } = await findLineChatLeads(contactId, rid);
+  return open || closed;
+}
+
+// closed-lost лид -> обратно в рабочий статус (KOMMO_REOPEN_STATUS_ID)
+async function reopenLostLead(lead, rid) {
+  const statusId = getKommoReopenStatusId();
+  if (!statusId || getLeadClosedState(lead) !== "lost") return null;
+  try {
+    const patch = { id: toInt(lead.id), status_id: statusId };
+    const pipelineId = getKommoPipelineId();
+    if (pipelineId) patch.pipeline_id = pipelineId;
+    await kommoPatch("/leads", [patch], rid);
+    await addLeadNote(lead.id, "[LINE] client wrote again -> closed-lost deal reopened", rid);
+    log(rid, "✅ Closed-lost lead reopened:", { id: lead.id, statusId });
+    return { ...lead, status_id: statusId };
+  } catch (e) {
+    warn(rid, "[KOMMO] Could not reopen lost lead:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+    return null;
+  }
+}
+
+// Лид из локального mapping store
+async function getMappedLineChatLead(lineUserId, rid) {
+  const leadId = getLineMapping(lineUserId)?.leadId;
+  if (!leadId) return null;
+  try {
+    const lead = await getKommoLeadById(leadId, rid);
+    if (lead?.id) return lead;
+  } catch (e) {
+    warn(rid, "[MAP] Mapped lead not available:", { leadId, error: e?.response?.status ? `HTTP ${e.response.status}` : e.message });
+    if (e?.response?.status !== 404 && e?.response?.status !== 204) return null;
+  }
+  forgetLineMapping(lineUserId, "leadId");
+  return null;
+}
+
+// Закрытые (won/lost) лиды не используем: сообщение в закрытой сделке никто не увидит
+async function ensureLineChatLead(contactId, profile, lineUserId, rid) {
+  const mapped = await getMappedLineChatLead(lineUserId, rid);
+  if (mapped && !getLeadClosedState(mapped)) {
+    log(rid, "[MAP] lead from local store:", { id: mapped.id, name: mapped.name });
+    return mapped;
+  }
+
+  const found = await findLineChatLeads(contactId, rid);
+  if (found.open) {
+    log(rid, "[KOMMO] using existing lead:", { id: found.open.id, name: found.open.name });
+    saveLineMapping(lineUserId, { contactId, leadId: found.open.id });
+    return found.open;
+  }
+
+  const previous = mapped || found.closed;
+  if (previous) {
+    log(rid, "[KOMMO] previous lead is closed:", { id: previous.id, state: getLeadClosedState(previous) });
+    const reopened = await reopenLostLead(previous, rid);
+    if (reopened) {
+      saveLineMapping(lineUserId, { contactId, leadId: reopened.id });
+      return reopened;
+    }
+  }
+
+  try {
+    const newLead = await createLineChatLead(contactId, profile, lineUserId, rid);
+    log(rid, "✅ LINE_CHAT lead created:", { id: newLead?.id, name: newLead?.name });
+    if (newLead?.id) {
+      saveLineMapping(lineUserId, { contactId, leadId: newLead.id });
+      if (previous) {
+        const state = getLeadClosedState(previous);
+        await addLeadNote(
+          newLead.id,
+          `[LINE] returning client — previous deal #${previous.id} (closed ${state}): ${kommoLeadUrl(previous.id)}`,
+          rid
+        ).catch((e) => warn(rid, "Could not add previous-deal note:", e.message));
+      }
+    }
+    return newLead;
+  } catch (e) {
+    errlog(rid, "[KOMMO] Failed to create lead:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+    return null;
+  }
+}
+
+async function kommoNoteRequest({ leadId, text }, rid) {
+  const payload = [{ entity_id: toInt(leadId), note_type: "common", params: { text } }];
+  return await kommoPost("/leads/notes", payload, rid, { retries: 0 });
+}
+
+// Заметка идёт через durable queue; бросаем ошибку только если она не попала даже в очередь
+async function addLeadNote(leadId, text, rid) {
+  log(rid, "[KOMMO] add note:", { leadId, textPreview: String(text).slice(0, 80) });
+  const result = await runDurableJob("kommo_note", { leadId: String(leadId), text }, { orderKey: `lead:${leadId}`, rid });
+  if (!result.ok && !result.queued) throw new Error(result.error || "Kommo note failed");
+  return result;
+}
+
+const KOMMO_TASK_TYPE_FOLLOW_UP = 1;
+
+// Задача на лид; без responsibleUserId — ответственному за лид. -> { id, responsibleUserId }
+async function createKommoLeadTask(leadId, { text, responsibleUserId, dueMinutes }, rid) {
+  const userId = responsibleUserId || (await getKommoLeadById(leadId, rid))?.responsible_user_id || null;
+  const task = {
+    entity_id: toInt(leadId),
+    entity_type: "leads",
+    task_type_id: KOMMO_TASK_TYPE_FOLLOW_UP,
+    text,
+    complete_till: Math.floor(Date.now() / 1000) + dueMinutes * 60,
+  };
+  if (userId) task.responsible_user_id = toInt(userId);
+  const data = await kommoPost("/tasks", [task], rid);
+  const id = data?._embedded?.tasks?.[0]?.id;
+  if (!id) throw new Error("Kommo task id missing");
+  return { id, responsibleUserId: userId };
+}
+
+async function getKommoContactById(contactId, rid) {
+  return await kommoGet(`/contacts/${contactId}`, { with: "tags" }, rid);
+}
+
+async function getKommoLeadById(leadId, rid) {
+  return await kommoGet(`/leads/${leadId}`, { with: "contacts,tags,custom_fields" }, rid);
+}
+
+// -------------------- Читаем кастомное поле LINE Reply из лида --------------------
+function extractLineReplyFromCustomFields(parsed, rid) {
+  const fieldId = getLineReplyFieldId();
+  const keys = Object.keys(parsed || {});
+
+  const cfIndexes = new Set();
+  for (const k of keys) {
+    const m = k.match(/^this_item\[custom_fields_values\]\[(\d+)\]/);
+    if (m) cfIndexes.add(m[1]);
+  }
+
+  for (const idx of cfIndexes) {
+    const fid = toInt(parsed[`this_item[custom_fields_values][${idx}][field_id]`]);
+    const fname = parsed[`this_item[custom_fields_values][${idx}][field_name]`] || "";
+    const val = parsed[`this_item[custom_fields_values][${idx}][values][0][value]`];
+
+    if (!isNonEmptyString(val)) continue;
+
+    if (fieldId && fid === fieldId) {
+      log(rid, `[CF] Found LINE Reply by field_id ${fieldId}:`, val);
+      return { text: val.trim(), cfIndex: idx, fieldId: fid };
+    }
+
+    if (!fieldId) {
+      const nameL = fname.toLowerCase().replace(/[\s_-]/g, "");
+      if (nameL.includes("linereply") || nameL.includes("lineответ") || nameL.includes("lineмесс")) {
+        log(rid, `[CF] Found LINE Reply by field_name "${fname}":`, val);
+        return { text: val.trim(), cfIndex: idx, fieldId: fid };
+      }
+    }
+  }
+
+  for (const k of keys) {
+    const kl = k.toLowerCase().replace(/[\s_\[\]]/g, "");
+    if (kl.includes("linereply") || kl.includes("lineответ")) {
+      const v = parsed[k];
+      if (isNonEmptyString(v)) {
+        log(rid, `[CF] Found LINE Reply by flat key "${k}":`, v);
+        return { text: v.trim(), cfIndex: null, fieldId: null };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Очищаем поле LINE Reply после отправки
+async function clearLineReplyField(leadId, fieldId, rid) {
+  if (!leadId || !fieldId) return;
+  try {
+    await kommoPatch(
+      "/leads",
+      [
+        {
+          id: toInt(leadId),
+          custom_fields_values: [{ field_id: fieldId, values: [{ value: "" }] }],
+        },
+      ],
+      rid
+    );
+    log(rid, "[KOMMO] LINE Reply field cleared:", { leadId, fieldId });
+  } catch (e) {
+    warn(rid, "[KOMMO] Could not clear LINE Reply field:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+  }
+}
+
+// -------------------- НОВОЕ: сохраняем chatId тегом на лиде --------------------
+async function ensureLeadHasChatIdTag(leadId, lineChatId, rid) {
+  if (!leadId || !lineChatId) return;
+
+  try {
+    const lead = await getKommoLeadById(leadId, rid);
+    const tags = lead?._embedded?.tags || [];
+    const existing = new Set(tags.map((t) => t?.name).filter(Boolean));
+
+    const need1 = `${TAG_LINE_CHATID_PREFIX}${lineChatId}`;
+    const need2 = `${TAG_LINE_UID_PREFIX}${lineChatId}`; // legacy
+
+    if (existing.has(need1) && existing.has(need2)) return;
+
+    existing.add(TAG_LINE);
+    existing.add(TAG_LINE_CHAT);
+    existing.add(need1);
+    existing.add(need2);
+
+    const mergedTags = Array.from(existing).map((name) => ({ name }));
+
+    await kommoPatch(
+      "/leads",
+      [
+        {
+          id: toInt(leadId),
+          _embedded: { tags: mergedTags },
+        },
+      ],
+      rid
+    );
+
+    log(rid, "[KOMMO] Lead tags synced with LINE chatId:", { leadId, lineChatId });
+  } catch (e) {
+    warn(rid, "[KOMMO] Could not sync lead tags:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+  }
+}
+
+// Добавляем/убираем теги у лида или контакта (Kommo PATCH заменяет список тегов целиком)
+async function updateEntityTags(entity, entityId, { add = [], remove = [] }, rid) {
+  if (!entityId) return;
+  const getter = entity === "contacts" ? getKommoContactById : getKommoLeadById;
+
+  try {
+    const item = await getter(entityId, rid);
+    const tags = item?._embedded?.tags || [];
+    const existing = new Set(tags.map((t) => t?.name).filter(Boolean));
+    const before = existing.size;
+    const removed = remove.filter((name) => existing.delete(name)).length;
+    for (const name of add) existing.add(name);
+    if (!removed && existing.size === before) return;
+
+    await kommoPatch(
+      `/${entity}`,
+      [{ id: toInt(entityId), _embedded: { tags: Array.from(existing).map((name) => ({ name })) } }],
+      rid
+    );
+    log(rid, `[KOMMO] ${entity} tags updated:`, { id: entityId, add, remove });
+  } catch (e) {
+    warn(rid, `[KOMMO] Could not update ${entity} tags:`, e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+  }
+}
+
+// -------------------- НОВОЕ: находим LINE chatId не только в main contact --------------------
+async function resolveLineChatIdForLead({ leadId, contactId }, rid) {
+  // 0) локальный mapping store — без запросов в Kommo
+  const fromStore = findLineUserIdByLeadId(leadId) || findLineUserIdByContactId(contactId);
+  if (fromStore) {
+    log(rid, "✅ LINE chatId found in local store:", fromStore);
+    return { lineChatId: fromStore, source: "local_store" };
+  }
+
+  const resolved = await resolveLineChatIdFromKommoTags({ leadId, contactId }, rid);
+  // fallback по тегам сработал -> запоминаем обратный индекс (входящие при этом остаются на прежнем лиде)
+  if (resolved.lineChatId) {
+    rememberLineChatLookup(resolved.lineChatId, {
+      leadId,
+      contactId: resolved.source === "lead_tags" ? null : resolved.contactId,
+    });
+  } else {
+    incMetric("line_bridge_unresolved_chat_id_total");
+  }
+  return resolved;
+}
+
+async function resolveLineChatIdFromKommoTags({ leadId, contactId }, rid) {
+  // 1) пробуем по main contact
+  if (contactId) {
+    try {
+      const c = await getKommoContactById(contactId, rid);
+      const fromMain = extractLineUserIdFromContact(c);
+      if (fromMain) {
+        log(rid, "✅ LINE chatId found in main contact tags:", fromMain);
+        return { lineChatId: fromMain, source: "main_contact", contactId };
+      }
+    } catch (e) {
+      warn(rid, "Could not fetch main contact for tags:", e.message);
+    }
+  }
+
+  // 2) пробуем по lead tags + всем контактам лида
+  if (leadId) {
+    try {
+      const lead = await getKommoLeadById(leadId, rid);
+
+      // 2a) lead tags
+      const leadTags = lead?._embedded?.tags || [];
+      const fromLeadTags = extractLineUserIdFromTags(leadTags);
+      if (fromLeadTags) {
+        log(rid, "✅ LINE chatId found in lead tags:", fromLeadTags);
+        return { lineChatId: fromLeadTags, source: "lead_tags" };
+      }
+
+      // 2b) all lead contacts
+      const embContacts = lead?._embedded?.contacts || [];
+      for (const ct of embContacts) {
+        const cid = ct?.id ? String(ct.id) : null;
+        if (!cid) continue;
+        try {
+          const c = await getKommoContactById(cid, rid);
+          const found = extractLineUserIdFromContact(c);
+          if (found) {
+            log(rid, "✅ LINE chatId found in another lead contact:", { contactId: cid, lineChatId: found });
+            return { lineChatId: found, source: "lead_contact", contactId: cid };
+          }
+        } catch {}
+      }
+    } catch (e) {
+      warn(rid, "Could not fetch lead for contacts/tags:", e.message);
+    }
+  }
+
+  return { lineChatId: null, source: null };
+}
+
+// -------------------- LINE media -> Kommo --------------------
+const LINE_MEDIA_TYPES = new Set(["image", "video", "audio", "file"]);
+
+const MEDIA_EXT_BY_CONTENT_TYPE = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "video/mp4": "mp4",
+  "video/quicktime": "mov",
+  "audio/m4a": "m4a",
+  "audio/x-m4a": "m4a",
+  "audio/mp4": "m4a",
+  "audio/mpeg": "mp3",
+  "application/pdf": "pdf",
+};
+
+function makeMediaFileName(message, contentType) {
+  if (isNonEmptyString(message?.fileName)) return message.fileName.trim().slice(0, 200);
+  const ext = MEDIA_EXT_BY_CONTENT_TYPE[contentType] || "bin";
+  return `line_${message?.type || "file"}_${message?.id || Date.now()}.${ext}`;
+}
+
+// Скачиваем медиа из LINE, грузим в Kommo Drive и прикрепляем к лиду.
+// Если что-то не получилось — всё равно пишем заметку "[LINE image received]", чтобы сообщение не потерялось.
+async function forwardLineMediaToLead(leadId, message, displayName, rid) {
+  const msgType = message?.type || "file";
+  try {
+    const content = await getLineMessageContent(message, rid);
+    if (!content) throw new Error("LINE content unavailable");
+
+    const fileName = makeMediaFileName(message, content.contentType);
+    const file = await uploadFileToKommoDrive(content.buffer, fileName, content.contentType, rid);
+    await attachFileToLead(leadId, file.uuid, rid);
+
+    await addLeadNote(leadId, `${displayName}: [LINE ${msgType}] ${file.name} (attached to lead files)`, rid);
+    log(rid, "✅ LINE media forwarded to Kommo:", { leadId, msgType, fileUuid: file.uuid });
+    return { ok: true, fileUuid: file.uuid };
+  } catch (e) {
+    warn(rid, "[MEDIA] Could not forward LINE media:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+    try {
+      await addLeadNote(leadId, `${displayName}: ${formatLineMedia({ ...message, type: msgType })}`, rid);
+    } catch (e2) {
+      errlog(rid, "[MEDIA] Could not add fallback note:", e2?.response?.status ? `HTTP ${e2.response.status}` : e2.message);
+    }
+    return { ok: false, error: e.message };
+  }
+}
+
+// -------------------- LINE message formatters --------------------
+// Каждый тип сообщения LINE превращаем в читаемый текст заметки для лида.
+// Медиа (image/video/audio/file) отдельно прикрепляется файлом — см. forwardLineMediaToLead.
+const STICKER_EMOJI_BY_RESOURCE_TYPE = {
+  STATIC: "🙂",
+  ANIMATION: "🎞️",
+  SOUND: "🔊",
+  ANIMATION_SOUND: "🎬",
+  POPUP: "💥",
+  POPUP_SOUND: "💥",
+  CUSTOM: "✍️",
+  MESSAGE: "💬",
+};
+
+function formatLineSticker(m) {
+  const emoji = STICKER_EMOJI_BY_RESOURCE_TYPE[m.stickerResourceType] || "🙂";
+  const keywords = Array.isArray(m.keywords) ? m.keywords.slice(0, 3).join(", ") : "";
+  const label = keywords ? `${emoji} ${keywords}` : emoji;
+  const extra = isNonEmptyString(m.text) ? ` "${m.text.trim()}"` : "";
+  return `[LINE sticker] ${label}${extra} (package ${m.packageId}, sticker ${m.stickerId})`;
+}
+
+function formatLineLocation(m) {
+  const lines = ["[LINE location]"];
+  if (isNonEmptyString(m.title)) lines.push(m.title.trim());
+  if (isNonEmptyString(m.address)) lines.push(m.address.trim());
+  if (Number.isFinite(m.latitude) && Number.isFinite(m.longitude)) {
+    lines.push(`https://www.google.com/maps?q=${m.latitude},${m.longitude}`);
+  }
+  return lines.join("\n");
+}
+
+function formatLineMedia(m) {
+  const name = isNonEmptyString(m.fileName) ? ` ${m.fileName.trim()}` : "";
+  return `[LINE ${m.type} received]${name}`;
+}
+
+const LINE_MESSAGE_FORMATTERS = {
+  text: (m) => (m.text || "").trim(),
+  sticker: formatLineSticker,
+  location: formatLineLocation,
+  image: formatLineMedia,
+  video: formatLineMedia,
+  audio: formatLineMedia,
+  file: formatLineMedia,
+};
+
+// -> { kind: "media" | "note", text }
+function formatLineMessage(message) {
+  const type = message?.type || "unknown";
+  const formatter = LINE_MESSAGE_FORMATTERS[type];
+  if (!formatter) return { kind: "note", text: `[unsupported LINE message: ${type}]` };
+  return { kind: LINE_MEDIA_TYPES.has(type) ? "media" : "note", text: formatter(message) };
+}
+
+// -------------------- LINE event handlers --------------------
+// Группа/комната — отдельный разговор (свой контакт + лид), ответы уходят в groupId/roomId
+function getLineChatIdFromSource(source) {
+  const src = source || {};
+  if (src.type === "group" && src.groupId) return src.groupId;
+  if (src.type === "room" && src.roomId) return src.roomId;
+  return src.userId || src.groupId || src.roomId || "unknown";
+}
+
+// Профиль разговора: клиент (user profile) или группа/комната -> { kind, displayName, pictureUrl }
+async function getLineConversationProfile(source, rid) {
+  const chatId = getLineChatIdFromSource(source);
+  if (source?.type === "group") {
+    const summary = await getLineGroupSummary(chatId, rid);
+    return { kind: "group", displayName: summary?.groupName || `group ${chatId.slice(-6)}`, pictureUrl: summary?.pictureUrl || null };
+  }
+  if (source?.type === "room") {
+    return { kind: "room", displayName: `room ${chatId.slice(-6)}`, pictureUrl: null };
+  }
+  const profile = await getLineProfile(chatId, rid);
+  return profile ? { ...profile, kind: "user" } : null;
+}
+
+// Кто именно написал: в группе/комнате — профиль участника, в 1:1 — профиль разговора
+async function getLineSenderProfile(source, conversationProfile, rid) {
+  if (!isLineGroupProfile(conversationProfile)) return conversationProfile;
+  const member = await getLineMemberProfile(source, rid);
+  if (member) return member;
+  const uid = source?.userId;
+  return { userId: uid || null, displayName: uid ? `Member …${uid.slice(-6)}` : "Group member" };
+}
+
+// -------------------- LINE profile -> Kommo contact --------------------
+// Что уже записано в Kommo по каждому чату: { displayName, firstContactAt, fields: { fieldId: value } } —
+// PATCH уходит только когда что-то реально поменялось.
+const PROFILE_SYNC_STORE = openJsonStore("profile-sync.json", () => ({ tenants: {} }));
+const LINE_PROFILE_CONTACT_FIELDS = [
+  { env: "KOMMO_CONTACT_PICTURE_FIELD_ID", value: (profile) => profile.pictureUrl },
+  { env: "KOMMO_CONTACT_LANGUAGE_FIELD_ID", value: (profile) => profile.language },
+  { env: "KOMMO_CONTACT_STATUS_FIELD_ID", value: (profile) => profile.statusMessage },
+  { env: "KOMMO_CONTACT_FIRST_CONTACT_FIELD_ID", value: (profile, synced) => synced.firstContactAt },
+];
+
+async function syncLineProfileToKommo({ chatId, profile, contact, lead }, rid) {
+  if (!profile?.displayName) return;
+  const db = tenantSlot(PROFILE_SYNC_STORE, () => ({ chats: {} }));
+  const prev = db.chats[chatId] || null;
+  const synced = {
+    displayName: profile.displayName,
+    // дата первого контакта: у уже существующего контакта — его created_at
+    firstContactAt: prev?.firstContactAt || toInt(contact.created_at) || Math.floor(Date.now() / 1000),
+    fields: { ...(prev?.fields || {}) },
+  };
+
+  const contactPatch = { id: contact.id };
+  const customFields = [];
+  for (const f of LINE_PROFILE_CONTACT_FIELDS) {
+    const fieldId = toInt(tenantEnv(f.env));
+    const value = f.value(profile, synced);
+    if (!fieldId || !value || synced.fields[fieldId] === value) continue;
+    customFields.push({ field_id: fieldId, values: [{ value }] });
+    synced.fields[fieldId] = value;
+  }
+  if (customFields.length) contactPatch.custom_fields_values = customFields;
+
+  // имя меняем, только если сменился LINE displayName и агент не переименовал контакт / лид вручную
+  let leadPatch = null;
+  if (prev?.displayName && prev.displayName !== profile.displayName) {
+    const oldName = lineConversationName(chatId, { ...profile, displayName: prev.displayName });
+    const newName = lineConversationName(chatId, profile);
+    if (contact.name === oldName) contactPatch.name = newName;
+    if (lead?.name === oldName) leadPatch = { id: lead.id, name: newName };
+  }
+
+  try {
+    if (Object.keys(contactPatch).length > 1) await kommoPatch("/contacts", [contactPatch], rid);
+    if (leadPatch) await kommoPatch("/leads", [leadPatch], rid);
+  } catch (e) {
+    // snapshot не сохраняем -> повторим со следующим сообщением
+    warn(rid, "Could not sync LINE profile to Kommo:", { chatId, contactId: contact.id }, describeHttpError(e));
+    return;
+  }
+
+  const changed = customFields.length > 0 || !!contactPatch.name || !!leadPatch;
+  if (changed) {
+    log(rid, "👤 LINE profile synced to Kommo:", {
+      chatId,
+      contactId: contact.id,
+      fields: customFields.map((f) => f.field_id),
+      renamed: contactPatch.name || leadPatch?.name || null,
+    });
+  }
+  if (changed || prev?.displayName !== synced.displayName) {
+    db.chats[chatId] = { ...synced, syncedAt: isoNow() };
+    PROFILE_SYNC_STORE.save();
+  }
+}
+
+// contact + chat lead для LINE-чата (создаём при необходимости)
+async function ensureLineConversation(source, rid) {
+  const chatId = getLineChatIdFromSource(source);
+  const profile = await getLineConversationProfile(source, rid);
+  const contact = await ensureKommoContact(chatId, profile, rid);
+  if (!contact?.id) { warn(rid, "⚠️ Kommo contact missing -> stop"); return null; }
+
+  const lead = await ensureLineChatLead(contact.id, profile, chatId, rid);
+  if (!lead?.id) { warn(rid, "⚠️ leadId missing -> stop"); return null; }
+
+  await syncLineProfileToKommo({ chatId, profile, contact, lead }, rid);
+  return { chatId, profile, contact, lead };
+}
+
+// contact + chat lead, только если уже существуют (для unfollow/leave ничего не создаём);
+// сначала локальный mapping store, full-text поиск — только если там ничего нет
+async function findLineConversation(lineUserId, rid) {
+  let contact = await getMappedKommoContact(lineUserId, rid);
+  if (!contact) {
+    try {
+      contact = await findKommoContactByLineUserId(lineUserId, rid);
+    } catch (e) {
+      errlog(rid, "[KOMMO] Error searching contacts:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+    }
+    if (contact?.id) saveLineMapping(lineUserId, { contactId: contact.id });
+  }
+  if (!contact?.id) return null;
+  const mapped = await getMappedLineChatLead(lineUserId, rid);
+  if (mapped && !getLeadClosedState(mapped)) return { contact, lead: mapped };
+  const lead = await findLineChatLead(contact.id, rid);
+  return { contact, lead };
+}
+
+async function handleLineMessageEvent(ev, rid) {
+  const formatted = formatLineMessage(ev.message);
+  if (!formatted.text) return;
+
+  const chatId = getLineChatIdFromSource(ev.source);
+  log(rid, "✅ New LINE message:", { event: "line_message", direction: "in", chatId, sourceType: ev.source?.type, msgType: ev.message?.type, text: formatted.text });
+
+  const transcript = { direction: "in", chatId, type: ev.message?.type || "unknown", text: formatted.text, messageId: ev.message?.id || null };
+
+  // фото/видео/файлы в amojo не отправляем (там нужна публичная ссылка на файл) — они, как и без Chats,
+  // скачиваются из LINE и прикрепляются к chat lead, иначе паспорт / чек останется лишь "[LINE image received]"
+  if (isKommoChatsMode() && formatted.kind !== "media") {
+    let sender = null;
+    let delivered = false;
+    try {
+      const profile = await getLineConversationProfile(ev.source, rid);
+      sender = await getLineSenderProfile(ev.source, profile, rid);
+      await sendToKommoChats(
+        {
+          lineChatId: chatId,
+          senderId: ev.source?.userId || chatId,
+          senderProfile: sender,
+          messageId: ev.message?.id,
+          text: formatted.text,
+          timestampMs: ev.timestamp,
+        },
+        rid
+      );
+      delivered = true;
+    } catch (e) {
+      warn(rid, "Kommo Chats send failed -> fallback to lead note:", describeHttpError(e));
+    }
+    // сообщение уже в Kommo: дальше ничего не должно уводить его в fallback (иначе оно появится дважды)
+    if (delivered) {
+      const leadId = getLineMapping(chatId)?.leadId || null;
+      recordTranscript({ ...transcript, leadId, sender: sender?.displayName || null, result: "kommo_chats" });
+      markLineConversationWaiting(chatId, leadId, rid);
+      await autoReplyToLineMessage(ev, leadId, rid);
+      return;
+    }
+  }
+
+  const conv = await ensureLineConversation(ev.source, rid);
+  if (!conv) {
+    recordTranscript({ ...transcript, leadId: null, sender: null, result: "kommo_failed" });
+    return;
+  }
+  const { profile, contact, lead } = conv;
+
+  const sender = await getLineSenderProfile(ev.source, profile, rid);
+  const displayName = sender?.displayName || "Client";
+  recordTranscript({ ...transcript, leadId: String(lead.id), sender: displayName, result: "note" });
+  if (formatted.kind === "media") {
+    await forwardLineMediaToLead(lead.id, ev.message, displayName, rid);
+  } else {
+    await addLeadNote(lead.id, `${displayName}: ${formatted.text}`, rid);
+  }
+
+  // на всякий случай: пишем chatId в теги лида
+  await ensureLeadHasChatIdTag(lead.id, chatId, rid);
+
+  markLineConversationWaiting(chatId, lead.id, rid);
+  await autoReplyToLineMessage(ev, lead.id, rid);
+
+  log(rid, "✅ Done LINE->Kommo:", { contactId: contact.id, leadId: lead.id });
+}
+
+// follow: клиент добавил бота (или разблокировал) -> сразу создаём contact + chat lead
+async function handleLineFollowEvent(ev, rid) {
+  const conv = await ensureLineConversation(ev.source, rid);
+  if (!conv) return;
+  const { chatId: lineUserId, profile, contact, lead } = conv;
+
+  await updateEntityTags("contacts", contact.id, { remove: [TAG_LINE_BLOCKED] }, rid);
+  await updateEntityTags("leads", lead.id, { remove: [TAG_LINE_BLOCKED] }, rid);
+  await ensureLeadHasChatIdTag(lead.id, lineUserId, rid);
+
+  const displayName = profile?.displayName || "Client";
+  const what = ev.follow?.isUnblocked ? "unblocked the bot" : "new follower";
+  await addLeadNote(lead.id, `[LINE] ${displayName}: ${what}`, rid);
+  log(rid, "✅ LINE follow handled:", { lineUserId, contactId: contact.id, leadId: lead.id, unblocked: !!ev.follow?.isUnblocked });
+}
+
+// unfollow: клиент заблокировал бота -> помечаем тегом, чтобы Kommo webhook не пытался отправлять
+async function handleLineUnfollowEvent(ev, rid) {
+  const lineUserId = getLineChatIdFromSource(ev.source);
+  const conv = await findLineConversation(lineUserId, rid);
+  if (!conv) { warn(rid, "LINE unfollow: no Kommo contact for", lineUserId); return; }
+  const { contact, lead } = conv;
+
+  await updateEntityTags("contacts", contact.id, { add: [TAG_LINE_BLOCKED] }, rid);
+  if (lead?.id) {
+    await updateEntityTags("leads", lead.id, { add: [TAG_LINE_BLOCKED] }, rid);
+    await addLeadNote(lead.id, "[LINE] client has blocked the bot (unfollow)", rid);
+  }
+  log(rid, "✅ LINE unfollow handled:", { lineUserId, contactId: contact.id, leadId: lead?.id || null });
+}
+
+// join: бота добавили в группу/комнату
+async function handleLineJoinEvent(ev, rid) {
+  const kind = ev.source?.type || "group";
+  const conv = await ensureLineConversation(ev.source, rid);
+  if (!conv) return;
+  const { chatId, profile, contact, lead } = conv;
+
+  await updateEntityTags("contacts", contact.id, { remove: [TAG_LINE_LEFT] }, rid);
+  await updateEntityTags("leads", lead.id, { remove: [TAG_LINE_LEFT] }, rid);
+  await ensureLeadHasChatIdTag(lead.id, chatId, rid);
+  await addLeadNote(lead.id, `[LINE] bot joined ${kind} "${profile?.displayName || chatId}"`, rid);
+  log(rid, "✅ LINE join handled:", { chatId, kind, leadId: lead.id });
+}
+
+// leave: бота удалили из группы/комнаты
+async function handleLineLeaveEvent(ev, rid) {
+  const chatId = getLineChatIdFromSource(ev.source);
+  const kind = ev.source?.type || "group";
+  const conv = await findLineConversation(chatId, rid);
+  if (!conv) { warn(rid, "LINE leave: no Kommo contact for", chatId); return; }
+  const { contact, lead } = conv;
+
+  await updateEntityTags("contacts", contact.id, { add: [TAG_LINE_LEFT] }, rid);
+  if (lead?.id) {
+    await updateEntityTags("leads", lead.id, { add: [TAG_LINE_LEFT] }, rid);
+    await addLeadNote(lead.id, `[LINE] bot left ${kind} ${chatId}`, rid);
+  }
+  log(rid, "✅ LINE leave handled:", { chatId, kind, leadId: lead?.id || null });
+}
+
+// memberJoined / memberLeft: кто пришёл или ушёл из группы/комнаты
+async function handleLineMemberEvent(ev, rid) {
+  const joined = ev.type === "memberJoined";
+  const members = (joined ? ev.joined?.members : ev.left?.members) || [];
+  const chatId = getLineChatIdFromSource(ev.source);
+  const conv = await findLineConversation(chatId, rid);
+  if (!conv?.lead?.id) { warn(rid, `LINE ${ev.type}: no Kommo lead for`, chatId); return; }
+
+  const names = [];
+  for (const m of members) {
+    // у ушедшего участника профиль уже не получить
+    const profile = joined ? await getLineMemberProfile({ ...ev.source, userId: m.userId }, rid) : null;
+    names.push(profile?.displayName || `…${String(m.userId || "").slice(-6)}`);
+  }
+  await addLeadNote(conv.lead.id, `[LINE] ${joined ? "joined" : "left"} the ${ev.source?.type || "group"}: ${names.join(", ")}`, rid);
+}
+
+const LINE_EVENT_HANDLERS = {
+  message: handleLineMessageEvent,
+  follow: handleLineFollowEvent,
+  unfollow: handleLineUnfollowEvent,
+  join: handleLineJoinEvent,
+  leave: handleLineLeaveEvent,
+  memberJoined: handleLineMemberEvent,
+  memberLeft: handleLineMemberEvent,
+  postback: handleLinePostbackEvent,
+};
+
+// -------------------- LINE webhook --------------------
+app.post(["/line/webhook", "/line/webhook/:tenant"], express.text({ type: "*/*" }), withTenant((req, res) => {
+  const rid = makeRid();
+  const signature = req.header("x-line-signature") || "";
+  res.json({ ok: true });
+
+  setImmediate(async () => {
+    try {
+      const raw = req.body || "";
+      if (!verifyLineSignature(raw, signature)) {
+        errlog(rid, "Bad LINE signature");
+        return;
+      }
+      recordWebhook("line", req, raw, rid);
+
+      const data = safeJsonParse(raw);
+      if (!data || !Array.isArray(data.events)) {
+        warn(rid, "LINE webhook: no events / invalid JSON");
+        return;
+      }
+
+      STATE.lastLineWebhook = {
+        rid, at: isoNow(),
+        tenant: currentTenantId(),
+        eventsCount: data.events.length,
+        firstEventType: data.events[0]?.type || null,
+      };
+
+      log(rid, "LINE events count:", data.events.length);
+
+      for (const ev of data.events) {
+        const evType = ev?.type;
+        log(rid, "LINE event:", { type: evType, msgType: ev?.message?.type, mode: ev?.mode });
+        incMetric("line_bridge_inbound_events_total", { type: evType || "unknown" });
+
+        const handler = LINE_EVENT_HANDLERS[evType];
+        if (!handler) continue;
+
+        if (!claimIdempotencyKeys(lineEventDedupKeys(ev), getLineDedupTtlMs())) {
+          log(rid, "↩️ LINE event already handled -> skip:", {
+            webhookEventId: ev.webhookEventId,
+            messageId: ev.message?.id,
+            isRedelivery: !!ev.deliveryContext?.isRedelivery,
+          });
+          continue;
+        }
+
+        if (ev.replyToken) rememberLineReplyToken(getLineChatIdFromSource(ev.source), ev.replyToken, ev.timestamp);
+
+        try {
+          await handler(ev, rid);
+        } catch (e) {
+          // освобождаем ключи: иначе повторная доставка от LINE будет отброшена как "уже обработано"
+          releaseIdempotencyKeys(lineEventDedupKeys(ev));
+          errlog(rid, `Error handling LINE ${evType} event:`, e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+        }
+      }
+    } catch (e) {
+      errlog(rid, "Unhandled error in LINE webhook:", e.message);
+    }
+  });
+}));
+
+// -------------------- Kommo webhook (Emfy button) --------------------
+async function getLeadLineBlockReason(leadId, rid) {
+  try {
+    const lead = await getKommoLeadById(leadId, rid);
+    if (leadHasTag(lead, TAG_LINE_BLOCKED)) return "client has blocked the bot";
+    if (leadHasTag(lead, TAG_LINE_LEFT)) return "bot is no longer in this LINE group/room";
+  } catch (e) {
+    warn(rid, "Could not check lead block tags:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+  }
+  return null;
+}
+
+// false — браузерный запрос с origin, которого нет в KOMMO_ALLOWED_ORIGINS (пустой список = браузеру нельзя)
+function setCors(req, res) {
+  const allowed = getKommoAllowedOrigins();
+  const origin = (req.header("origin") || "").replace(/\/+$/, "");
+
+  res.set("Access-Control-Allow-Headers", "Content-Type, X-Bridge-Token, X-Bridge-Signature");
+  res.set("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.set("Vary", "Origin");
+  if (!origin) return true; // серверный вызов (Kommo digital pipeline / webhooks) — без Origin
+  if (!allowed.includes(origin)) return false;
+  res.set("Access-Control-Allow-Origin", origin);
+  return true;
+}
+
+function extractIdsFromKommo(parsed) {
+  const leadId =
+    parsed["leads[add][0][id]"] ||
+    parsed["this_item[id]"] ||
+    parsed["lead[id]"] ||
+    parsed["lead_id"] ||
+    parsed["id"] ||
+    null;
+
+  const contactId =
+    parsed["this_item[_embedded][contacts][0][id]"] ||
+    parsed["this_item[main_contact][id]"] ||
+    parsed["contacts[add][0][id]"] ||
+    parsed["contact[id]"] ||
+    parsed["contact_id"] ||
+    null;
+
+  return {
+    leadId: leadId ? String(leadId) : null,
+    contactId: contactId ? String(contactId) : null,
+  };
+}
+
+app.all(["/kommo/webhook", "/kommo/webhook/:tenant"], express.text({ type: "*/*" }), withTenant((req, res) => {
+  const rid = makeRid();
+  if (!setCors(req, res)) {
+    warn(rid, "Kommo webhook rejected: origin not allowed", { origin: req.header("origin"), ip: req.ip, allowedOrigins: getKommoAllowedOrigins().length });
+    return res.status(403).json({ ok: false, error: "origin not allowed", rid });
+  }
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  if (!checkKommoWebhookAuth(req, res, rid, "Kommo webhook")) return;
+  res.json({ ok: true });
+
+  setImmediate(async () => {
+    try {
+      const raw = typeof req.body === "string" ? req.body : "";
+      recordWebhook("kommo", req, raw, rid);
+      let parsed = {};
+      const maybeJson = safeJsonParse(raw);
+      if (maybeJson && typeof maybeJson === "object") {
+        parsed = maybeJson;
+      } else {
+        parsed = querystring.parse(raw);
+      }
+
+      const keys = Object.keys(parsed || {});
+      STATE.lastKommoWebhook = {
+        rid, at: isoNow(),
+        tenant: currentTenantId(),
+        method: req.method,
+        keysCount: keys.length,
+        keysPreview: keys.slice(0, 50),
+        rawPreview: String(raw).slice(0, 500),
+      };
+
+      log(rid, "==== Kommo webhook ====");
+      log(rid, "method:", req.method, "keysCount:", keys.length);
+
+      let { leadId, contactId } = extractIdsFromKommo(parsed);
+      log(rid, "Extracted IDs:", { leadId, contactId });
+
+      const cfResult = extractLineReplyFromCustomFields(parsed, rid);
+      if (!cfResult?.text) {
+        log(rid, "No LINE Reply text in custom fields -> skip");
+        return;
+      }
+
+      const replyText = cfResult.text;
+      log(rid, "✅ LINE Reply text:", replyText);
+
+      if (!leadId) {
+        warn(rid, "leadId missing -> cannot send");
+        return;
+      }
+
+      // 0) Повтор того же webhook: ключ — лид + updated_at события + текст. Без updated_at (Emfy double-click)
+      //    — лид + текст в пределах KOMMO_DEDUP_TTL_SEC; агент видит заметку, что сообщение не ушло
+      const updatedAt = extractKommoUpdatedAt(parsed);
+      const dedupKey = kommoReplyDedupKey(leadId, replyText, updatedAt);
+      if (!claimIdempotencyKeys([dedupKey], getKommoDedupTtlMs())) {
+        log(rid, "↩️ Same LINE Reply for this lead was just handled -> skip:", { leadId, updatedAt });
+        if (!updatedAt) {
+          try {
+            await addLeadNote(toInt(leadId), `[LINE not sent: duplicate] the same text was sent to this lead less than ${Math.round(getKommoDedupTtlMs() / 1000)} s ago. Message: ${replyText}`, rid);
+          } catch (e) {
+            warn(rid, "Could not add 'LINE not sent: duplicate' note:", e.message);
+          }
+        }
+        return;
+      }
+
+      // 0b) [at ...] — отложенная отправка; разметка -> LINE messages (image/location/flex/quick), с проверкой до отправки
+      const schedule = parseLineSendAt(replyText);
+      const outbound = schedule.error ? { messages: [], errors: [schedule.error] } : parseLineReplyMarkup(schedule.text);
+      if (outbound.errors.length) {
+        warn(rid, "LINE Reply markup invalid -> not sending:", outbound.errors);
+        releaseIdempotencyKeys([dedupKey]);
+        try {
+          await addLeadNote(toInt(leadId), `[LINE not sent] invalid message: ${outbound.errors.join("; ")}`, rid);
+        } catch (e) {
+          warn(rid, "Could not add 'LINE not sent' note:", e.message);
+        }
+        return;
+      }
+
+      // 1) Находим LINE chatId максимально надёжно (main contact -> lead tags -> all lead contacts)
+      const resolved = await resolveLineChatIdForLead({ leadId, contactId }, rid);
+
+      if (!resolved.lineChatId) {
+        warn(rid, "No LINE chatId found -> cannot send");
+        releaseIdempotencyKeys([dedupKey]);
+        await reportLineDeliveryFailure(leadId, { reason: "no LINE chat is linked to this lead", text: replyText }, rid);
+        return;
+      }
+
+      const lineChatId = resolved.lineChatId;
+
+      // 1b) Клиент заблокировал бота / бот вышел из группы -> не отправляем, пишем понятную заметку
+      const blockedReason = await getLeadLineBlockReason(leadId, rid);
+      if (blockedReason) {
+        warn(rid, "LINE chat is blocked -> not sending:", { leadId, lineChatId, blockedReason });
+        await reportLineDeliveryFailure(leadId, { reason: blockedReason, text: replyText }, rid);
+        return;
+      }
+
+      // 2) Сохраняем chatId прямо в тегах лида, чтобы в следующий раз работало всегда
+      await ensureLeadHasChatIdTag(leadId, lineChatId, rid);
+
+      // 2b) [at ...] -> в расписание, отправит scheduler через sendLinePush
+      if (schedule.sendAt) {
+        const text = schedule.text.trim();
+        const entry = scheduleLineMessage({ leadId, lineChatId, messages: outbound.messages, text, sendAt: schedule.sendAt, timeZone: schedule.timeZone }, rid);
+        const fieldId = cfResult.fieldId || getLineReplyFieldId();
+        if (fieldId) {
+          await clearLineReplyField(leadId, fieldId, rid);
+        }
+        try {
+          await addLeadNote(toInt(leadId), `[LINE scheduled] ${formatZonedTime(schedule.sendAt, schedule.timeZone)} (id ${entry.id}) ${text}`, rid);
+        } catch (e) {
+          warn(rid, "Could not add '[LINE scheduled]' note:", e.message);
+        }
+        return;
+      }
+
+      log(rid, "🚀 Sending to LINE:", {
+        lineChatId,
+        text: replyText,
+        types: outbound.messages.map((m) => m.type),
+        source: resolved.source,
+      });
+
+      // 3) Отправляем в LINE (reply token, если ещё жив, иначе push)
+      const sendResult = await sendLineMessages(lineChatId, outbound.messages, rid, { leadId });
+
+      // queued: доставкой дальше занимается очередь, поле всё равно чистим, чтобы не отправить дважды
+      if (sendResult.ok || sendResult.queued) {
+        await clearLineConversationWaiting(lineChatId, rid);
+
+        // Очищаем поле LINE Reply
+        const fieldId = cfResult.fieldId || getLineReplyFieldId();
+        if (fieldId) {
+          await clearLineReplyField(leadId, fieldId, rid);
+        }
+
+        // Логируем в лид
+        const tag = sendResult.ok ? `[LINE sent via ${sendResult.method}]` : "[LINE queued for retry]";
+        try {
+          await addLeadNote(toInt(leadId), `${tag} ${replyText}`, rid);
+        } catch (e) {
+          warn(rid, `Could not add '${tag}' note:`, e.message);
+        }
+        await setLeadLineStatus(leadId, sendResult.ok ? "sent" : "queued", rid);
+      } else {
+        // поле не чистим: агент может поправить и отправить ещё раз
+        releaseIdempotencyKeys([dedupKey]);
+        await reportLineDeliveryFailure(leadId, { reason: describeLineSendError(sendResult.status, sendResult.error), text: replyText }, rid);
+      }
+    } catch (e) {
+      errlog(rid, "Unhandled error in /kommo/webhook:", e.message);
+    }
+  });
+}));
+
+// -------------------- Kommo Chats webhook (native chat -> LINE) --------------------
+const KOMMO_CHATS_WEBHOOK_PATHS = ["/kommo/chats/webhook/:scopeId", "/kommo/chats/webhook/:tenant/:scopeId"];
+
+app.post(KOMMO_CHATS_WEBHOOK_PATHS, express.text({ type: "*/*" }), withTenant((req, res) => {
+  const rid = makeRid();
+  const raw = typeof req.body === "string" ? req.body : "";
+
+  if (!getKommoChannelSecret() || !verifyKommoChatsSignature(raw, req.header("x-signature"))) {
+    warn(rid, "Kommo Chats webhook rejected: bad signature", { scopeId: req.params.scopeId, ip: req.ip });
+    return res.status(401).json({ ok: false, error: "unauthorized", rid });
+  }
+  res.json({ ok: true });
+
+  setImmediate(async () => {
     try {
-      contact = await createKommoContactFromLine(lineUserId, profile, rid);
-      log(rid, "✅ Kommo contact created:", { id: contact?.id, name: contact?.name });
+      recordWebhook("kommo_chats", req, raw, rid);
+      const data = safeJsonParse(raw);
+      const msg = data?.message;
+      const lineChatId = msg?.conversation?.client_id || msg?.receiver?.client_id;
+      const msgid = msg?.message?.id || null;
+      log(rid, "==== Kommo Chats webhook ====", { lineChatId, msgid, type: msg?.message?.type });
+
+      if (!lineChatId) {
+        warn(rid, "Kommo Chats webhook: conversation client_id missing -> skip");
+        return;
+      }
+      if (msgid && !claimIdempotencyKeys([`kommo:chat:${msgid}`], getLineDedupTtlMs())) {
+        log(rid, "↩️ Kommo Chats message already handled -> skip:", { msgid });
+        return;
+      }
+
+      const outbound = kommoChatMessageToLine(msg.message);
+      if (outbound.errors.length) {
+        warn(rid, "Kommo Chats message cannot be sent to LINE:", outbound.errors);
+        return;
+      }
+
+      const leadId = getLineMapping(lineChatId)?.leadId || null;
+      const sendResult = await sendLineMessages(lineChatId, outbound.messages, rid, { leadId });
+      log(rid, "Kommo Chats -> LINE:", { lineChatId, ok: sendResult.ok, queued: !!sendResult.queued, method: sendResult.method });
+      if (sendResult.ok || sendResult.queued) {
+        await clearLineConversationWaiting(lineChatId, rid);
+        await setLeadLineStatus(leadId, sendResult.ok ? "sent" : "queued", rid);
+      } else if (leadId) {
+        const text = describeLineMessagesForTranscript(outbound.messages);
+        await reportLineDeliveryFailure(leadId, { reason: describeLineSendError(sendResult.status, sendResult.error), text }, rid);
+      }
     } catch (e) {
-      errlog(rid, "[KOMMO] Failed to create contact:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
-      return null;
+      errlog(rid, "Unhandled error in /kommo/chats/webhook:", e.message);
     }
-  } else {
-    log(rid, "[KOMMO] contact found:", { id: contact.id, name: contact.name });
+  });
+}));
+
+// -------------------- broadcast (Kommo stage / tag -> LINE multicast) --------------------
+// POST /admin/broadcast?tenant=  { text, statusId, pipelineId? } или { text, tag }, dryRun: true -> только превью.
+// text понимает ту же разметку, что и поле "LINE Reply". ChatId ищем как resolveLineChatIdForLead,
+// пользователи уходят multicast-ом пачками по 500 через durable queue, группы / комнаты — обычным push.
+const LINE_MULTICAST_MAX = 500;
+const KOMMO_PAGE_LIMIT = 250;
+const BROADCAST_MAX_PAGES = 40;
+const BROADCAST_HISTORY = 20;
+const BROADCASTS = new Map(); // tenant:id -> { id, status, counts, results }
+
+function getBroadcastChunkDelayMs() {
+  return toInt(process.env.BROADCAST_CHUNK_DELAY_MS) || 1000;
+}
+
+async function fetchKommoPages(apiPath, params, key, rid) {
+  const items = [];
+  for (let page = 1; page <= BROADCAST_MAX_PAGES; page++) {
+    const data = await kommoGet(apiPath, { ...params, page, limit: KOMMO_PAGE_LIMIT }, rid);
+    const chunk = data?._embedded?.[key] || [];
+    items.push(...chunk);
+    if (chunk.length < KOMMO_PAGE_LIMIT || !data?._links?.next) break;
   }
-  return contact;
+  return items;
 }
 
-function leadHasTag(lead, tagName) {
-  const tags = lead?._embedded?.tags || [];
-  return tags.some((t) => t?.name === tagName);
+// -> [{ leadId, contactId, blocked }]
+async function findBroadcastTargets({ statusId, pipelineId, tag }, rid) {
+  if (statusId) {
+    const leads = await fetchKommoPages(
+      "/leads",
+      {
+        "filter[statuses][0][pipeline_id]": pipelineId || getKommoPipelineId(),
+        "filter[statuses][0][status_id]": statusId,
+        with: "contacts,tags",
+      },
+      "leads",
+      rid
+    );
+    return leads.map((lead) => {
+      const contacts = lead._embedded?.contacts || [];
+      const main = contacts.find((c) => c.is_main) || contacts[0];
+      return {
+        leadId: String(lead.id),
+        contactId: main?.id ? String(main.id) : null,
+        blocked: leadHasTag(lead, TAG_LINE_BLOCKED) || leadHasTag(lead, TAG_LINE_LEFT),
+      };
+    });
+  }
+
+  // query ищет по подстроке -> оставляем только контакты с точным тегом
+  const contacts = (await fetchKommoPages("/contacts", { query: tag, with: "tags,leads" }, "contacts", rid)).filter((c) => contactHasTag(c, tag));
+  return contacts.map((c) => {
+    const chatId = extractLineUserIdFromContact(c) || findLineUserIdByContactId(c.id);
+    const leadId = (chatId && getLineMapping(chatId)?.leadId) || c._embedded?.leads?.[0]?.id || null;
+    return {
+      leadId: leadId ? String(leadId) : null,
+      contactId: String(c.id),
+      blocked: contactHasTag(c, TAG_LINE_BLOCKED) || contactHasTag(c, TAG_LINE_LEFT),
+    };
+  });
 }
 
-async function findLeadsByContact(contactId, rid) {
-  const params = {
-    "filter[contacts][id]": contactId,
-    limit: 50,
-    with: "contacts,tags",
-    "order[updated_at]": "desc",
+// -> [{ leadId, contactId, lineChatId, status: "pending" | "skipped", reason? }]
+async function resolveBroadcastRecipients(targets, rid) {
+  const seen = new Set();
+  const out = [];
+  for (const t of targets) {
+    const row = { leadId: t.leadId, contactId: t.contactId, lineChatId: null, status: "pending" };
+    out.push(row);
+    if (t.blocked) {
+      Object.assign(row, { status: "skipped", reason: "client has blocked the bot or bot left the chat" });
+      continue;
+    }
+    const resolved = await resolveLineChatIdForLead({ leadId: t.leadId, contactId: t.contactId }, rid);
+    row.lineChatId = resolved.lineChatId || null;
+    if (!row.lineChatId) Object.assign(row, { status: "skipped", reason: "no LINE chat found" });
+    else if (seen.has(row.lineChatId)) Object.assign(row, { status: "skipped", reason: "duplicate LINE chat" });
+    else seen.add(row.lineChatId);
+  }
+  return out;
+}
+
+function broadcastNoteText(row, text) {
+  if (row.status === "sent") return `[LINE broadcast sent] ${text}`;
+  if (row.status === "queued") return `[LINE broadcast queued for retry] ${text}`;
+  return `[LINE failed: ${row.reason || "unknown error"}] (broadcast) ${text}`;
+}
+
+async function sendBroadcast(broadcast, messages, rows, rid) {
+  const text = describeLineMessagesForTranscript(messages);
+  const pending = rows.filter((r) => r.status === "pending");
+  const transcriptOf = (r, method) => recordTranscript({ direction: "out", chatId: r.lineChatId, leadId: r.leadId, type: messages.map((m) => m.type).join(","), text, sender: "broadcast", result: "sending", method });
+
+  // multicast идёт мимо очереди line:<chatId>: у кого там что-то ждёт — шлём push, чтобы не обогнать
+  const viaMulticast = (r) => r.lineChatId.startsWith("U") && !hasPendingJobs(`line:${r.lineChatId}`);
+  const users = pending.filter(viaMulticast);
+  for (let i = 0; i < users.length; i += LINE_MULTICAST_MAX) {
+    if (i) await sleep(getBroadcastChunkDelayMs());
+    const chunk = users.slice(i, i + LINE_MULTICAST_MAX);
+    const recipients = chunk.map((r) => ({ lineChatId: r.lineChatId, leadId: r.leadId, transcriptId: transcriptOf(r, "multicast") }));
+    const result = await runDurableJob("line_multicast", { to: chunk.map((r) => r.lineChatId), messages, recipients }, { orderKey: `broadcast:${broadcast.id}`, rid });
+    const status = result.ok ? "sent" : result.queued ? "queued" : "failed";
+    chunk.forEach((r) => Object.assign(r, { status }, status === "failed" ? { reason: describeLineSendError(result.status, result.error) } : {}));
+    recipients.forEach((r) => updateTranscriptResult(r.transcriptId, status));
+    incMetric("line_bridge_outbound_messages_total", { method: "multicast", result: status }, chunk.length);
+  }
+
+  // группы / комнаты (multicast их не принимает) и чаты с ожидающими отправками
+  for (const r of pending.filter((row) => !viaMulticast(row))) {
+    const transcriptId = transcriptOf(r, "push");
+    const result = await sendLinePush(r.lineChatId, messages, rid, { leadId: r.leadId, transcriptId, failureTask: false });
+    r.status = result.ok ? "sent" : result.queued ? "queued" : "failed";
+    if (r.status === "failed") r.reason = describeLineSendError(result.status, result.error);
+    updateTranscriptResult(transcriptId, r.status);
+    incMetric("line_bridge_outbound_messages_total", { method: "push", result: r.status });
+  }
+
+  // заметки — только тем, кому реально отправляли: лиды сегмента без LINE не трогаем
+  for (const r of rows) {
+    if (!r.leadId || !["sent", "queued", "failed"].includes(r.status)) continue;
+    try {
+      await addLeadNote(r.leadId, broadcastNoteText(r, text), rid);
+    } catch (e) {
+      warn(rid, "Could not add broadcast note:", { leadId: r.leadId }, e.message);
+    }
+    await setLeadLineStatus(r.leadId, r.status, rid);
+  }
+}
+
+function countBroadcastRows(rows) {
+  return rows.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), { total: rows.length });
+}
+
+function rememberBroadcast(broadcast) {
+  BROADCASTS.set(tenantKey(broadcast.id), broadcast);
+  while (BROADCASTS.size > BROADCAST_HISTORY) BROADCASTS.delete(BROADCASTS.keys().next().value);
+}
+
+app.post("/admin/broadcast", express.json({ limit: "256kb" }), withTenant(async (req, res) => {
+  const rid = makeRid();
+  const { text, statusId, pipelineId, tag } = req.body || {};
+  const dryRun = req.body?.dryRun === true || req.query.dryRun === "1";
+
+  if (!isNonEmptyString(text)) return res.status(400).json({ ok: false, error: "text is required", rid });
+  if (!toInt(statusId) && !isNonEmptyString(tag)) return res.status(400).json({ ok: false, error: "statusId or tag is required", rid });
+  const outbound = parseLineReplyMarkup(text);
+  if (outbound.errors.length) return res.status(400).json({ ok: false, error: "invalid message", details: outbound.errors, rid });
+
+  const segment = toInt(statusId) ? { statusId: toInt(statusId), pipelineId: toInt(pipelineId) } : { tag: tag.trim() };
+  const broadcast = { id: makeRid(), rid, segment, dryRun, status: "resolving", startedAt: isoNow(), counts: null, results: [] };
+  log(rid, "📣 Broadcast requested:", { event: "broadcast", id: broadcast.id, ...segment, dryRun });
+
+  const run = async () => {
+    const rows = await resolveBroadcastRecipients(await findBroadcastTargets(segment, rid), rid);
+    broadcast.results = rows;
+    if (dryRun) {
+      for (const r of rows) if (r.status === "pending") r.status = "would_send";
+    } else {
+      broadcast.status = "sending";
+      await sendBroadcast(broadcast, outbound.messages, rows, rid);
+    }
+    broadcast.counts = countBroadcastRows(rows);
+    broadcast.status = "done";
+    broadcast.finishedAt = isoNow();
+    log(rid, "📣 Broadcast finished:", { event: "broadcast", id: broadcast.id, dryRun, ...broadcast.counts });
   };
-  const pipelineId = toInt(process.env.KOMMO_PIPELINE_ID);
-  if (pipelineId) params["filter[pipeline_id]"] = pipelineId;
-  const data = await kommoGet("/leads", params, rid);
-  return data?._embedded?.leads || [];
+
+  // превью ждём на месте, реальная рассылка идёт в фоне: статус — GET /admin/broadcast/:id
+  if (dryRun) {
+    try {
+      await run();
+      return res.json({ ok: true, ...broadcast, messages: outbound.messages });
+    } catch (e) {
+      errlog(rid, "❌ Broadcast preview failed:", describeHttpError(e));
+      return res.status(502).json({ ok: false, error: describeHttpError(e), rid });
+    }
+  }
+
+  rememberBroadcast(broadcast);
+  res.status(202).json({ ok: true, id: broadcast.id, status: broadcast.status, rid });
+  setImmediate(async () => {
+    try {
+      await run();
+    } catch (e) {
+      Object.assign(broadcast, { status: "failed", error: describeHttpError(e), finishedAt: isoNow() });
+      errlog(rid, "❌ Broadcast failed:", { event: "broadcast", id: broadcast.id }, describeHttpError(e));
+    }
+  });
+}));
+
+app.get("/admin/broadcast/:id", withTenant((req, res) => {
+  const broadcast = BROADCASTS.get(tenantKey(req.params.id));
+  if (!broadcast) return res.status(404).json({ ok: false, error: "broadcast not found" });
+  res.json({ ok: true, ...broadcast, counts: broadcast.counts || countBroadcastRows(broadcast.results) });
+}));
+
+// -------------------- scheduled LINE messages --------------------
+// Строка в "LINE Reply":  [at 2026-10-20 07:00]  /  [at tomorrow 07:00 Asia/Bangkok]  /  [at 2026-10-20T07:00+08:00]
+// Без зоны — LINE_SCHEDULE_TZ. Сообщение лежит в DATA_DIR/scheduled.json, scheduler отправляет его через sendLinePush.
+// Список / отмена: GET /admin/scheduled?leadId=, DELETE /admin/scheduled/:id, DELETE /admin/scheduled?leadId=
+const SCHEDULE_STORE = openJsonStore("scheduled.json", () => ({ messages: [] }));
+const SCHEDULER_TICK_MS = 15 * 1000;
+const SCHEDULER_RETRY_MAX_MS = 60 * 60 * 1000;
+const LINE_SEND_AT_RE = /^\[at[:\s]\s*(.+)\]$/i;
+const LINE_SEND_AT_HINT = "use [at 2026-10-20 07:00] or [at tomorrow 07:00 Asia/Bangkok]";
+
+function getLineScheduleTimeZone() {
+  return tenantEnv("LINE_SCHEDULE_TZ") || "UTC";
 }
 
-async function createLineChatLead(contactId, profile, lineUserId, rid) {
-  const displayName = profile?.displayName || `LINE ${lineUserId}`;
-  const pipelineId = toInt(process.env.KOMMO_PIPELINE_ID);
-  const statusId = toInt(process.env.KOMMO_STATUS_ID);
-  const leadName = `[LINE] ${displayName}`.slice(0, 250);
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-  const tags = [
-    { name: TAG_LINE },
-    { name: TAG_LINE_CHAT },
-    { name: `${TAG_LINE_CHATID_PREFIX}${lineUserId}` }, // чтобы отправка работала даже если main contact другой
-  ];
+// ts -> { year, month, day, hour, minute } по часам timeZone
+function zonedParts(ts, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit",
+  }).formatToParts(new Date(ts));
+  const v = Object.fromEntries(parts.map((p) => [p.type, Number(p.value)]));
+  return { year: v.year, month: v.month, day: v.day, hour: v.hour, minute: v.minute };
+}
 
-  const lead = {
-    name: leadName,
-    _embedded: { contacts: [{ id: contactId }], tags },
+// локальное время в timeZone -> UTC ms (второй проход — на случай перехода на летнее время)
+function zonedTimeToUtc(wall, timeZone) {
+  const wallMs = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute);
+  const offsetAt = (ts) => {
+    const p = zonedParts(ts, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ts / 60000) * 60000;
   };
-  if (pipelineId) lead.pipeline_id = pipelineId;
-  if (statusId) lead.status_id = statusId;
+  const first = wallMs - offsetAt(wallMs);
+  return wallMs - offsetAt(first);
+}
 
-  const created = await kommoPost("/leads", [lead], rid);
-  return (Array.isArray(created) ? created[0] : null) || null;
+function formatZonedTime(ts, timeZone) {
+  const p = zonedParts(ts, timeZone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)} ${timeZone}`;
 }
 
-async function ensureLineChatLead(contactId, profile, lineUserId, rid) {
-  let leads = [];
+// -> { text, sendAt: ms | null, timeZone, error? }; строка [at ...] из text убирается
+function parseLineSendAt(raw) {
+  const lines = String(raw || "").split(/\r?\n/);
+  const idx = lines.findIndex((l) => LINE_SEND_AT_RE.test(l.trim()));
+  if (idx < 0) return { text: String(raw || ""), sendAt: null, timeZone: null };
+
+  const arg = lines[idx].trim().match(LINE_SEND_AT_RE)[1].trim();
+  const text = lines.filter((_, i) => i !== idx).join("\n");
+  const fail = (error) => ({ text, sendAt: null, timeZone: null, error });
+  let sendAt;
+  let timeZone;
+
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:?\d{2})$/.test(arg)) {
+    sendAt = Date.parse(arg);
+    timeZone = getLineScheduleTimeZone();
+    if (!Number.isFinite(sendAt)) return fail(`[at] cannot read send time "${arg}" (${LINE_SEND_AT_HINT})`);
+  } else {
+    const m = arg.match(/^(today|tomorrow|\d{4}-\d{2}-\d{2})\s+(\d{1,2}):(\d{2})(?:\s+(\S+))?$/i);
+    if (!m) return fail(`[at] cannot read send time "${arg}" (${LINE_SEND_AT_HINT})`);
+    timeZone = m[4] || getLineScheduleTimeZone();
+    if (!isValidTimeZone(timeZone)) return fail(`[at] unknown time zone "${timeZone}"`);
+
+    let date;
+    if (/^\d/.test(m[1])) {
+      const [year, month, day] = m[1].split("-").map(Number);
+      date = { year, month, day };
+    } else {
+      const today = zonedParts(Date.now(), timeZone);
+      const d = new Date(Date.UTC(today.year, today.month - 1, today.day + (m[1].toLowerCase() === "tomorrow" ? 1 : 0)));
+      date = { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+    }
+    const wall = { ...date, hour: Number(m[2]), minute: Number(m[3]) };
+    sendAt = zonedTimeToUtc(wall, timeZone);
+    const check = zonedParts(sendAt, timeZone);
+    if (wall.hour > 23 || wall.minute > 59 || check.day !== wall.day || check.month !== wall.month) {
+      return fail(`[at] no such date/time "${arg}"`);
+    }
+  }
+
+  if (sendAt <= Date.now()) return fail(`[at] send time ${formatZonedTime(sendAt, timeZone)} is in the past`);
+  return { text, sendAt, timeZone };
+}
+
+function scheduleLineMessage({ leadId, lineChatId, messages, text, sendAt, timeZone }, rid) {
+  const entry = {
+    id: makeRid(),
+    tenant: currentTenantId(),
+    leadId: String(leadId),
+    lineChatId,
+    messages,
+    text,
+    sendAt: new Date(sendAt).toISOString(),
+    timeZone,
+    // тот же X-Line-Retry-Key при повторной отправке после падения процесса — LINE не доставит дважды
+    retryKey: crypto.randomUUID(),
+    createdAt: isoNow(),
+    rid,
+  };
+  SCHEDULE_STORE.get().messages.push(entry);
+  SCHEDULE_STORE.save();
+  log(rid, "🕒 LINE message scheduled:", { event: "line_scheduled", id: entry.id, leadId: entry.leadId, lineChatId, sendAt: entry.sendAt });
+  return entry;
+}
+
+function listScheduledMessages(leadId) {
+  const tid = currentTenantId();
+  return SCHEDULE_STORE.get()
+    .messages.filter((m) => (m.tenant || DEFAULT_TENANT_ID) === tid && (!leadId || m.leadId === String(leadId)))
+    .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+}
+
+// -> отменённые записи
+function cancelScheduledMessages({ id, leadId }) {
+  const cancelled = listScheduledMessages(leadId).filter((m) => !id || m.id === id);
+  if (!cancelled.length) return [];
+  const db = SCHEDULE_STORE.get();
+  db.messages = db.messages.filter((m) => !cancelled.includes(m));
+  SCHEDULE_STORE.save();
+  return cancelled;
+}
+
+async function sendScheduledMessage(entry) {
+  const rid = entry.rid;
+  const blockedReason = await getLeadLineBlockReason(entry.leadId, rid);
+  if (blockedReason) {
+    warn(rid, "LINE chat is blocked -> scheduled message not sent:", { id: entry.id, leadId: entry.leadId, blockedReason });
+    await reportLineDeliveryFailure(entry.leadId, { reason: blockedReason, text: `(scheduled) ${entry.text}` }, rid);
+    return;
+  }
+
+  const transcriptId = recordTranscript({
+    direction: "out",
+    chatId: entry.lineChatId,
+    leadId: entry.leadId,
+    type: entry.messages.map((m) => m.type).join(","),
+    text: describeLineMessagesForTranscript(entry.messages),
+    sender: "scheduled",
+    result: "sending",
+    method: "push",
+  });
+  const result = await sendLinePush(entry.lineChatId, entry.messages, rid, { leadId: entry.leadId, transcriptId, retryKey: entry.retryKey });
+  const outcome = result.ok ? "sent" : result.queued ? "queued" : "failed";
+  updateTranscriptResult(transcriptId, outcome);
+  incMetric("line_bridge_outbound_messages_total", { method: "push", result: outcome });
+  log(rid, `Scheduled LINE message ${outcome}`, { event: "line_scheduled", id: entry.id, leadId: entry.leadId, result: outcome });
+
+  if (outcome === "failed") {
+    await reportLineDeliveryFailure(entry.leadId, { reason: describeLineSendError(result.status, result.error), text: `(scheduled) ${entry.text}` }, rid);
+    return;
+  }
+  // отправка уже состоялась / в очереди: ошибка заметки не должна вернуть запись в расписание
+  const tag = result.ok ? "[LINE sent (scheduled)]" : "[LINE scheduled message queued for retry]";
   try {
-    leads = await findLeadsByContact(contactId, rid);
+    await addLeadNote(entry.leadId, `${tag} ${entry.text}`, rid);
   } catch (e) {
-    errlog(rid, "[KOMMO] Error searching leads:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+    warn(rid, "Could not add scheduled message note:", e.message);
   }
+  await setLeadLineStatus(entry.leadId, outcome, rid);
+}
+
+function removeScheduledEntry(entry) {
+  const db = SCHEDULE_STORE.get();
+  db.messages = db.messages.filter((m) => m.id !== entry.id);
+  SCHEDULE_STORE.save();
+}
 
-  if (leads.length) {
-    const chatLead = leads.find((l) => leadHasTag(l, TAG_LINE_CHAT));
-    const picked = chatLead || leads[0];
-    log(rid, "[KOMMO] using existing lead:", { id: picked.id, name: picked.name });
-    return picked;
+// ошибка до постановки в очередь (напр. Kommo недоступен) -> повтор с backoff, после лимита — "[LINE failed]" агенту
+async function retryScheduledEntry(entry, e) {
+  entry.attempts = (entry.attempts || 0) + 1;
+  entry.lastError = describeHttpError(e);
+  if (entry.attempts < getQueueMaxAttempts()) {
+    const delay = Math.min(SCHEDULER_TICK_MS * 2 ** entry.attempts, SCHEDULER_RETRY_MAX_MS);
+    entry.sendAt = new Date(Date.now() + delay).toISOString();
+    SCHEDULE_STORE.save();
+    warn(entry.rid, "⏳ Scheduled message failed, will retry:", { id: entry.id, leadId: entry.leadId, attempts: entry.attempts, inMs: delay, error: entry.lastError });
+    return;
+  }
+  errlog(entry.rid, "❌ Scheduled message failed:", { id: entry.id, leadId: entry.leadId, attempts: entry.attempts }, entry.lastError);
+  removeScheduledEntry(entry);
+  try {
+    await reportLineDeliveryFailure(entry.leadId, { reason: `could not send the scheduled message (${entry.lastError})`, text: `(scheduled) ${entry.text}` }, entry.rid);
+  } catch (err) {
+    errlog(entry.rid, "Could not report scheduled message failure:", err.message);
   }
+}
 
+let schedulerBusy = false;
+
+async function processScheduledMessages() {
+  if (schedulerBusy) return;
+  schedulerBusy = true;
   try {
-    const newLead = await createLineChatLead(contactId, profile, lineUserId, rid);
-    log(rid, "✅ LINE_CHAT lead created:", { id: newLead?.id, name: newLead?.name });
-    return newLead;
+    const due = SCHEDULE_STORE.get().messages.filter((m) => Date.parse(m.sendAt) <= Date.now());
+
+    // запись убираем только после sendScheduledMessage (дальше повторы — забота durable queue);
+    // если процесс упадёт посередине, повтор уйдёт с тем же retryKey
+    for (const entry of due) {
+      const tenant = getTenant(entry.tenant || DEFAULT_TENANT_ID);
+      if (!tenant) {
+        errlog(entry.rid, "Scheduled message for unknown tenant dropped:", { id: entry.id, tenantId: entry.tenant });
+        removeScheduledEntry(entry);
+        continue;
+      }
+      await runWithTenant(tenant, async () => {
+        try {
+          await sendScheduledMessage(entry);
+          removeScheduledEntry(entry);
+        } catch (e) {
+          await retryScheduledEntry(entry, e);
+        }
+      });
+    }
   } catch (e) {
-    errlog(rid, "[KOMMO] Failed to create lead:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
-    return null;
+    errlog("-", "Scheduler error:", e.message);
+  } finally {
+    schedulerBusy = false;
   }
 }
 
-async function addLeadNote(leadId, text, rid) {
-  const payload = [{ entity_id: leadId, note_type: "common", params: { text } }];
-  log(rid, "[KOMMO] add note:", { leadId, textPreview: String(text).slice(0, 80) });
-  return await kommoPost("/leads/notes", payload, rid);
+function startScheduler() {
+  setInterval(processScheduledMessages, SCHEDULER_TICK_MS).unref();
 }
 
-async function getKommoContactById(contactId, rid) {
-  return await kommoGet(`/contacts/${contactId}`, { with: "tags" }, rid);
+app.get("/admin/scheduled", withTenant((req, res) => {
+  const messages = listScheduledMessages(req.query.leadId);
+  res.json({ ok: true, tenant: currentTenantId(), count: messages.length, messages, ts: isoNow() });
+}));
+
+function respondCancelledScheduled(req, res, filter) {
+  const rid = makeRid();
+  const cancelled = cancelScheduledMessages(filter);
+  if (!cancelled.length) return res.status(404).json({ ok: false, error: "scheduled message not found", rid });
+  log(rid, "🕒 Scheduled LINE messages cancelled:", { event: "line_scheduled", ids: cancelled.map((m) => m.id) });
+  res.json({ ok: true, cancelled, rid });
+
+  setImmediate(async () => {
+    for (const m of cancelled) {
+      try {
+        await addLeadNote(m.leadId, `[LINE scheduled message cancelled] ${formatZonedTime(Date.parse(m.sendAt), m.timeZone)} ${m.text}`, rid);
+      } catch (e) {
+        warn(rid, "Could not add cancel note:", e.message);
+      }
+    }
+  });
 }
 
-async function getKommoLeadById(leadId, rid) {
-  return await kommoGet(`/leads/${leadId}`, { with: "contacts,tags,custom_fields" }, rid);
+app.delete("/admin/scheduled/:id", withTenant((req, res) => respondCancelledScheduled(req, res, { id: req.params.id })));
+
+app.delete("/admin/scheduled", withTenant((req, res) => {
+  if (!req.query.leadId) return res.status(400).json({ ok: false, error: "leadId is required" });
+  respondCancelledScheduled(req, res, { leadId: req.query.leadId });
+}));
+
+// -------------------- auto-reply (business hours + keyword rules) --------------------
+// AUTO_REPLY_FILE — JSON, см. auto-reply.example.json:
+//   timeZone       зона для часов работы (по умолчанию LINE_SCHEDULE_TZ)
+//   businessHours  { "mon": "09:00-18:00", "sat": "09:00-12:00, 13:00-15:00" } — дня нет в списке = выходной
+//   holidays       ["2026-12-25", ...] — весь день нерабочий
+//   afterHoursMessage  уходит вне часов работы не чаще раза за windowHours (default 12) на чат
+//   keywords       [{ "match": ["price", "how much"], "reply": "..." }] — в любое время, на текстовые сообщения
+// Тексты понимают ту же разметку, что и "LINE Reply". Только личные чаты (в группах автоответ мешает).
+// В Kommo всё автоматическое видно по заметке "[LINE auto-reply: ...]", в transcript — sender "auto".
+const AUTO_REPLY_STORE = openJsonStore("auto-reply-state.json", () => ({ tenants: {} }));
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const AUTO_REPLY_DEFAULT_WINDOW_HOURS = 12;
+
+// файл читаем на каждое сообщение: правки подхватываются без рестарта
+function loadAutoReplyRules() {
+  const file = tenantEnv("AUTO_REPLY_FILE");
+  if (!file) return null;
+  return readJsonFile(resolveConfigPath(file), null);
 }
 
-// -------------------- Читаем кастомное поле LINE Reply из лида --------------------
-function extractLineReplyFromCustomFields(parsed, rid) {
-  const fieldId = getLineReplyFieldId();
-  const keys = Object.keys(parsed || {});
+// "09:00-12:00, 13:00-18:00" -> [[540, 720], [780, 1080]] (минуты от полуночи)
+function parseTimeRanges(spec) {
+  return String(spec || "")
+    .split(",")
+    .map((r) => r.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/))
+    .filter(Boolean)
+    .map((m) => [Number(m[1]) * 60 + Number(m[2]), Number(m[3]) * 60 + Number(m[4])]);
+}
 
-  const cfIndexes = new Set();
-  for (const k of keys) {
-    const m = k.match(/^this_item\[custom_fields_values\]\[(\d+)\]/);
-    if (m) cfIndexes.add(m[1]);
+function isWithinBusinessHours(rules, ts = Date.now()) {
+  if (!rules?.businessHours) return true;
+  const tz = rules.timeZone || getLineScheduleTimeZone();
+  const timeZone = isValidTimeZone(tz) ? tz : "UTC";
+  const p = zonedParts(ts, timeZone);
+  const pad = (n) => String(n).padStart(2, "0");
+  if ((rules.holidays || []).includes(`${p.year}-${pad(p.month)}-${pad(p.day)}`)) return false;
+
+  const day = WEEKDAYS[new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay()];
+  const minutes = p.hour * 60 + p.minute;
+  return parseTimeRanges(rules.businessHours[day]).some(([from, to]) => minutes >= from && minutes < to);
+}
+
+function findKeywordRule(rules, text) {
+  const t = String(text || "").toLowerCase();
+  if (!t) return null;
+  for (const rule of rules?.keywords || []) {
+    const matches = [].concat(rule.match || []).map((k) => String(k).toLowerCase()).filter(Boolean);
+    const hit = matches.find((k) => t.includes(k));
+    if (hit && isNonEmptyString(rule.reply)) return { keyword: hit, reply: rule.reply };
   }
+  return null;
+}
 
-  for (const idx of cfIndexes) {
-    const fid = toInt(parsed[`this_item[custom_fields_values][${idx}][field_id]`]);
-    const fname = parsed[`this_item[custom_fields_values][${idx}][field_name]`] || "";
-    const val = parsed[`this_item[custom_fields_values][${idx}][values][0][value]`];
+async function sendAutoReply(chatId, leadId, reason, raw, rid) {
+  const outbound = parseLineReplyMarkup(raw);
+  if (outbound.errors.length) {
+    warn(rid, "Auto-reply text is invalid -> skip:", { reason, errors: outbound.errors });
+    return null;
+  }
+  const result = await sendLineMessages(chatId, outbound.messages, rid, { leadId, sender: "auto", failureTask: false });
+  log(rid, "🤖 LINE auto-reply:", { event: "auto_reply", direction: "out", chatId, leadId, reason, ok: result.ok, queued: !!result.queued });
+  if (leadId && !result.ok && !result.queued) {
+    await reportLineDeliveryFailure(leadId, { reason: describeLineSendError(result.status, result.error), text: `(auto-reply: ${reason}) ${raw}` }, rid, { task: false });
+  } else if (leadId) {
+    try {
+      await addLeadNote(leadId, `[LINE auto-reply: ${reason}${result.ok ? "" : ", queued for retry"}] ${raw}`, rid);
+    } catch (e) {
+      warn(rid, "Could not add auto-reply note:", e.message);
+    }
+    await setLeadLineStatus(leadId, result.ok ? "sent" : "queued", rid);
+  }
+  return result;
+}
 
-    if (!isNonEmptyString(val)) continue;
+// После того как входящее сообщение записано в Kommo: ответ по ключевому слову, иначе — "мы закрыты"
+async function autoReplyToLineMessage(ev, leadId, rid) {
+  if (ev.source?.type !== "user") return;
+  const rules = loadAutoReplyRules();
+  if (!rules) return;
+  const chatId = getLineChatIdFromSource(ev.source);
 
-    if (fieldId && fid === fieldId) {
-      log(rid, `[CF] Found LINE Reply by field_id ${fieldId}:`, val);
-      return { text: val.trim(), cfIndex: idx, fieldId: fid };
+  try {
+    const keywordRule = ev.message?.type === "text" ? findKeywordRule(rules, ev.message.text) : null;
+    if (keywordRule) {
+      await sendAutoReply(chatId, leadId, `keyword "${keywordRule.keyword}"`, keywordRule.reply, rid);
+      return;
     }
 
-    if (!fieldId) {
-      const nameL = fname.toLowerCase().replace(/[\s_-]/g, "");
-      if (nameL.includes("linereply") || nameL.includes("lineответ") || nameL.includes("lineмесс")) {
-        log(rid, `[CF] Found LINE Reply by field_name "${fname}":`, val);
-        return { text: val.trim(), cfIndex: idx, fieldId: fid };
-      }
+    if (!isNonEmptyString(rules.afterHoursMessage) || isWithinBusinessHours(rules)) return;
+    const state = tenantSlot(AUTO_REPLY_STORE, () => ({ afterHoursSentAt: {} }));
+    const windowMs = (toInt(rules.windowHours) || AUTO_REPLY_DEFAULT_WINDOW_HOURS) * 60 * 60 * 1000;
+    if (Date.now() - (state.afterHoursSentAt[chatId] || 0) < windowMs) {
+      log(rid, "After-hours reply already sent in this window -> skip:", { chatId });
+      return;
+    }
+    const result = await sendAutoReply(chatId, leadId, "after hours", rules.afterHoursMessage, rid);
+    if (result?.ok || result?.queued) {
+      state.afterHoursSentAt[chatId] = Date.now();
+      AUTO_REPLY_STORE.save();
     }
+  } catch (e) {
+    warn(rid, "Auto-reply failed:", describeHttpError(e));
   }
+}
 
-  for (const k of keys) {
-    const kl = k.toLowerCase().replace(/[\s_\[\]]/g, "");
-    if (kl.includes("linereply") || kl.includes("lineответ")) {
-      const v = parsed[k];
-      if (isNonEmptyString(v)) {
-        log(rid, `[CF] Found LINE Reply by flat key "${k}":`, v);
-        return { text: v.trim(), cfIndex: null, fieldId: null };
-      }
+// -------------------- unanswered-message SLA (Kommo tasks) --------------------
+// Первое неотвеченное сообщение клиента запускает таймер чата; ответ агента (/kommo/webhook или нативный чат)
+// его сбрасывает и закрывает созданные задачи. Автоответы таймер не сбрасывают.
+// Время ожидания копится только в рабочие часы из AUTO_REPLY_FILE (если они заданы), иначе — по часам.
+const SLA_STORE = openJsonStore("sla.json", () => ({ waiting: {} })); // tenant:chatId -> таймер
+const SLA_TICK_MS = 60 * 1000;
+const SLA_MAX_TICK_GAP_MS = 2 * SLA_TICK_MS;
+
+function getSlaMinutes() {
+  return toInt(tenantEnv("SLA_MINUTES")) || 0;
+}
+
+const SLA_ESCALATE_WARNED = new Set(); // tenant, чтобы не писать предупреждение на каждом тике
+
+// эскалация — это общее ожидание, поэтому должна быть больше SLA_MINUTES; иначе выключена
+function getSlaEscalateMinutes() {
+  const minutes = toInt(tenantEnv("SLA_ESCALATE_MINUTES")) || 0;
+  if (minutes > 0 && minutes <= getSlaMinutes()) {
+    if (!SLA_ESCALATE_WARNED.has(currentTenantId())) {
+      SLA_ESCALATE_WARNED.add(currentTenantId());
+      warn("-", "SLA_ESCALATE_MINUTES must be greater than SLA_MINUTES -> escalation disabled", { tenant: currentTenantId(), escalate: minutes, sla: getSlaMinutes() });
     }
+    return 0;
   }
+  return minutes;
+}
 
-  return null;
+function markLineConversationWaiting(chatId, leadId, rid) {
+  if (!getSlaMinutes() || !chatId) return;
+  const db = SLA_STORE.get();
+  const key = tenantKey(chatId);
+  const timer = db.waiting[key];
+  if (timer) {
+    // клиент пишет ещё — ждёт по-прежнему с первого сообщения, только лид мог появиться
+    if (leadId && !timer.leadId) timer.leadId = String(leadId);
+  } else {
+    db.waiting[key] = {
+      tenant: currentTenantId(),
+      chatId,
+      leadId: leadId ? String(leadId) : null,
+      since: isoNow(),
+      lastTickAt: Date.now(),
+      waitedMs: 0,
+      level: 0,
+      taskIds: [],
+      rid,
+    };
+    log(rid, "⏱️ LINE conversation waiting for reply:", { event: "sla", chatId, leadId: leadId || null });
+  }
+  SLA_STORE.save();
 }
 
-// Очищаем поле LINE Reply после отправки
-async function clearLineReplyField(leadId, fieldId, rid) {
-  if (!leadId || !fieldId) return;
+async function completeKommoTasks(taskIds, text, rid) {
+  if (!taskIds.length) return;
+  await kommoPatch(
+    "/tasks",
+    taskIds.map((id) => ({ id, is_completed: true, result: { text } })),
+    rid
+  );
+}
+
+async function clearLineConversationWaiting(chatId, rid) {
+  const db = SLA_STORE.get();
+  const key = tenantKey(chatId);
+  const timer = db.waiting[key];
+  if (!timer) return;
+  delete db.waiting[key];
+  SLA_STORE.save();
+  log(rid, "⏱️ LINE conversation answered:", { event: "sla", chatId, leadId: timer.leadId, waitedMin: Math.round(timer.waitedMs / 60000), tasks: timer.taskIds });
   try {
-    await kommoPatch(
-      "/leads",
-      [
-        {
-          id: toInt(leadId),
-          custom_fields_values: [{ field_id: fieldId, values: [{ value: "" }] }],
-        },
-      ],
-      rid
-    );
-    log(rid, "[KOMMO] LINE Reply field cleared:", { leadId, fieldId });
+    await completeKommoTasks(timer.taskIds, "LINE reply sent", rid);
+  } catch (e) {
+    warn(rid, "Could not complete SLA tasks:", { taskIds: timer.taskIds }, describeHttpError(e));
+  }
+}
+
+async function checkSlaTimer(key, timer) {
+  const rid = timer.rid;
+  if (!getSlaMinutes()) return;
+  const rules = loadAutoReplyRules();
+  const now = Date.now();
+  // не больше двух тиков за раз: простой / рестарт процесса ожиданием клиента не считаем
+  const elapsed = Math.min(Math.max(now - timer.lastTickAt, 0), SLA_MAX_TICK_GAP_MS);
+  if (isWithinBusinessHours(rules, now)) timer.waitedMs += elapsed;
+  timer.lastTickAt = now;
+  SLA_STORE.save();
+
+  const waitedMin = Math.floor(timer.waitedMs / 60000);
+  const escalateAt = getSlaEscalateMinutes();
+  const due = timer.level === 0 ? waitedMin >= getSlaMinutes() : timer.level === 1 && escalateAt > 0 && waitedMin >= escalateAt;
+  if (!due) return;
+  if (!timer.leadId) {
+    warn(rid, "SLA passed but conversation has no Kommo lead -> no task:", { chatId: timer.chatId });
+    return;
+  }
+
+  const escalation = timer.level === 1;
+  const text = `${escalation ? "ESCALATION: " : ""}LINE client has been waiting for a reply for ${waitedMin} min (since ${timer.since})`;
+  const { id: taskId, responsibleUserId } = await createKommoLeadTask(
+    timer.leadId,
+    { text, responsibleUserId: escalation ? tenantEnv("SLA_ESCALATE_USER_ID") : null, dueMinutes: getSlaMinutes() },
+    rid
+  );
+  // пока создавали задачу, агент мог ответить — тогда сразу закрываем её
+  if (SLA_STORE.get().waiting[key] !== timer) {
+    await completeKommoTasks([taskId], "LINE reply sent", rid);
+    return;
+  }
+  timer.taskIds.push(taskId);
+  timer.level += 1;
+  SLA_STORE.save();
+  warn(rid, `⏱️ SLA ${escalation ? "escalation" : "breach"}: Kommo task created`, { event: "sla", chatId: timer.chatId, leadId: timer.leadId, taskId, responsibleUserId, waitedMin });
+}
+
+let slaBusy = false;
+
+async function processSlaTimers() {
+  if (slaBusy) return;
+  slaBusy = true;
+  try {
+    for (const [key, timer] of Object.entries(SLA_STORE.get().waiting)) {
+      const tenant = getTenant(timer.tenant || DEFAULT_TENANT_ID);
+      if (!tenant) continue;
+      await runWithTenant(tenant, async () => {
+        try {
+          await checkSlaTimer(key, timer);
+        } catch (e) {
+          // задача не создалась — попробуем на следующем тике
+          errlog(timer.rid, "❌ SLA check failed:", { chatId: timer.chatId, leadId: timer.leadId }, describeHttpError(e));
+        }
+      });
+    }
   } catch (e) {
-    warn(rid, "[KOMMO] Could not clear LINE Reply field:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+    errlog("-", "SLA worker error:", e.message);
+  } finally {
+    slaBusy = false;
   }
 }
 
-// -------------------- НОВОЕ: сохраняем chatId тегом на лиде --------------------
-async function ensureLeadHasChatIdTag(leadId, lineChatId, rid) {
-  if (!leadId || !lineChatId) return;
-
-  try {
-    const lead = await getKommoLeadById(leadId, rid);
-    const tags = lead?._embedded?.tags || [];
-    const existing = new Set(tags.map((t) => t?.name).filter(Boolean));
-
-    const need1 = `${TAG_LINE_CHATID_PREFIX}${lineChatId}`;
-    const need2 = `${TAG_LINE_UID_PREFIX}${lineChatId}`; // legacy
+function startSlaWorker() {
+  setInterval(processSlaTimers, SLA_TICK_MS).unref();
+}
 
-    if (existing.has(need1) && existing.has(need2)) return;
+// -------------------- rich menus (LINE_RICH_MENU_DIR) --------------------
+// richmenus/<name>.json — rich menu object из LINE API (size, areas, chatBarText), рядом <name>.png или <name>.jpg.
+// Пример — richmenus/main.example.json: скопировать в main.json и положить рядом main.png (2500x843, до 1 MB) —
+// без картинки LINE меню не примет, POST /admin/richmenus/main ответит 400.
+// Загруженные меню запоминаем по имени (DATA_DIR/rich-menus.json): LINE id меняется при каждой загрузке.
+//   GET    /admin/richmenus                      локальные файлы, загруженные меню, default
+//   POST   /admin/richmenus/:name[?default=1]    создать меню в LINE + загрузить картинку
+//   DELETE /admin/richmenus/:name                удалить из LINE (можно и по id "richmenu-...")
+//   POST   /admin/richmenus/:name/default        меню для всех, у кого нет своего
+//   DELETE /admin/richmenus/default              снять default
+//   POST   /admin/richmenus/:name/link           { userIds: [...] } или { leadId } — меню конкретным клиентам
+//   POST   /admin/richmenus/unlink               { userIds: [...] } или { leadId } — вернуть им default
+const RICH_MENU_STORE = openJsonStore("rich-menus.json", () => ({ tenants: {} }));
+const LINE_RICH_MENU_BULK_MAX = 500;
+const RICH_MENU_IMAGE_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg" };
 
-    existing.add(TAG_LINE);
-    existing.add(TAG_LINE_CHAT);
-    existing.add(need1);
-    existing.add(need2);
+// ./richmenus по умолчанию — только для default: меню одного канала не должно уйти в чужой
+function getRichMenuDir() {
+  const dir = tenantEnv("LINE_RICH_MENU_DIR");
+  if (dir) return resolveConfigPath(dir);
+  return currentTenant().id === DEFAULT_TENANT_ID ? path.join(__dirname, "richmenus") : null;
+}
 
-    const mergedTags = Array.from(existing).map((name) => ({ name }));
+function richMenuSlot() {
+  return tenantSlot(RICH_MENU_STORE, () => ({ menus: {} }));
+}
 
-    await kommoPatch(
-      "/leads",
-      [
-        {
-          id: toInt(leadId),
-          _embedded: { tags: mergedTags },
-        },
-      ],
-      rid
-    );
+async function lineApiSend(method, apiPath, data, { baseUrl, headers } = {}) {
+  const tok = getLineToken();
+  if (!tok) throw new Error("LINE token missing");
+  const r = await axios.request({
+    method,
+    url: `${baseUrl || getLineApiBaseUrl()}${apiPath}`,
+    data,
+    headers: { Authorization: `Bearer ${tok}`, ...(data && !headers ? { "Content-Type": "application/json" } : {}), ...headers },
+    timeout: 20000,
+    maxBodyLength: Infinity,
+  });
+  return r.data || null;
+}
 
-    log(rid, "[KOMMO] Lead tags synced with LINE chatId:", { leadId, lineChatId });
-  } catch (e) {
-    warn(rid, "[KOMMO] Could not sync lead tags:", e?.response?.status ? `HTTP ${e.response.status}` : e.message);
+function loadRichMenuFiles(name) {
+  if (!/^[\w-]+$/.test(name) || name === "default" || name === "unlink") throw new Error(`bad rich menu name "${name}"`);
+  const dir = getRichMenuDir();
+  if (!dir) throw new Error(`LINE_RICH_MENU_DIR is not set for tenant "${currentTenant().id}"`);
+  const file = path.join(dir, `${name}.json`);
+  if (!fs.existsSync(file)) throw new Error(`rich menu "${name}" not found`);
+  const menu = safeJsonParse(fs.readFileSync(file, "utf8"));
+  if (!menu || typeof menu !== "object" || !menu.size || !Array.isArray(menu.areas)) {
+    throw new Error(`rich menu "${name}" is not valid JSON (size and areas are required)`);
   }
+  const ext = Object.keys(RICH_MENU_IMAGE_TYPES).find((e) => fs.existsSync(path.join(dir, `${name}${e}`)));
+  if (!ext) throw new Error(`rich menu "${name}" has no image (${name}.png or ${name}.jpg)`);
+  return { menu, image: fs.readFileSync(path.join(dir, `${name}${ext}`)), contentType: RICH_MENU_IMAGE_TYPES[ext] };
 }
 
-// -------------------- НОВОЕ: находим LINE chatId не только в main contact --------------------
-async function resolveLineChatIdForLead({ leadId, contactId }, rid) {
-  // 1) пробуем по main contact
-  if (contactId) {
-    try {
-      const c = await getKommoContactById(contactId, rid);
-      const fromMain = extractLineUserIdFromContact(c);
-      if (fromMain) {
-        log(rid, "✅ LINE chatId found in main contact tags:", fromMain);
-        return { lineChatId: fromMain, source: "main_contact" };
-      }
-    } catch (e) {
-      warn(rid, "Could not fetch main contact for tags:", e.message);
-    }
+function listLocalRichMenus() {
+  const dir = getRichMenuDir();
+  if (!dir) return [];
+  try {
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".json") && !f.endsWith(".example.json"))
+      .map((f) => f.slice(0, -5));
+  } catch {
+    return [];
   }
+}
 
-  // 2) пробуем по lead tags + всем контактам лида
-  if (leadId) {
-    try {
-      const lead = await getKommoLeadById(leadId, rid);
-
-      // 2a) lead tags
-      const leadTags = lead?._embedded?.tags || [];
-      const fromLeadTags = extractLineUserIdFromTags(leadTags);
-      if (fromLeadTags) {
-        log(rid, "✅ LINE chatId found in lead tags:", fromLeadTags);
-        return { lineChatId: fromLeadTags, source: "lead_tags" };
-      }
+// имя из store или прямой LINE id
+function resolveRichMenuId(nameOrId) {
+  if (/^richmenu-/.test(nameOrId)) return nameOrId;
+  return richMenuSlot().menus[nameOrId]?.richMenuId || null;
+}
 
-      // 2b) all lead contacts
-      const embContacts = lead?._embedded?.contacts || [];
-      for (const ct of embContacts) {
-        const cid = ct?.id ? String(ct.id) : null;
-        if (!cid) continue;
-        try {
-          const c = await getKommoContactById(cid, rid);
-          const found = extractLineUserIdFromContact(c);
-          if (found) {
-            log(rid, "✅ LINE chatId found in another lead contact:", { contactId: cid, lineChatId: found });
-            return { lineChatId: found, source: "lead_contact" };
-          }
-        } catch {}
-      }
-    } catch (e) {
-      warn(rid, "Could not fetch lead for contacts/tags:", e.message);
-    }
+async function uploadRichMenu(name, rid) {
+  const { menu, image, contentType } = loadRichMenuFiles(name);
+  const created = await lineApiSend("post", "/v2/bot/richmenu", { ...menu, name: menu.name || name });
+  const richMenuId = created?.richMenuId;
+  if (!richMenuId) throw new Error("LINE richMenuId missing");
+  try {
+    await lineApiSend("post", `/v2/bot/richmenu/${richMenuId}/content`, image, {
+      baseUrl: getLineDataApiBaseUrl(),
+      headers: { "Content-Type": contentType },
+    });
+  } catch (e) {
+    // меню без картинки LINE не покажет — не оставляем мусор
+    await lineApiSend("delete", `/v2/bot/richmenu/${richMenuId}`).catch(() => {});
+    throw e;
   }
+  const menus = richMenuSlot().menus;
+  const previousId = menus[name]?.richMenuId || null;
+  menus[name] = { richMenuId, uploadedAt: isoNow() };
+  RICH_MENU_STORE.save();
+  log(rid, "✅ LINE rich menu uploaded:", { event: "rich_menu", name, richMenuId, previousId });
+  return { richMenuId, previousId };
+}
 
-  return { lineChatId: null, source: null };
+// userIds из тела или LINE chatId лида; группы/комнаты rich menu не поддерживают
+async function richMenuTargetUserIds(body, rid) {
+  let ids = Array.isArray(body?.userIds) ? body.userIds.map(String) : [];
+  if (!ids.length && toInt(body?.leadId)) {
+    const resolved = await resolveLineChatIdForLead({ leadId: toInt(body.leadId), contactId: null }, rid);
+    if (resolved.lineChatId) ids = [resolved.lineChatId];
+  }
+  return Array.from(new Set(ids.filter((id) => id.startsWith("U"))));
 }
 
-// -------------------- LINE webhook --------------------
-app.post("/line/webhook", express.text({ type: "*/*" }), (req, res) => {
-  const rid = makeRid();
-  const signature = req.header("x-line-signature") || "";
-  res.json({ ok: true });
+// link: richMenuId задан; unlink: richMenuId = null
+async function setUsersRichMenu(userIds, richMenuId) {
+  if (userIds.length === 1) {
+    const apiPath = `/v2/bot/user/${encodeURIComponent(userIds[0])}/richmenu`;
+    return richMenuId ? lineApiSend("post", `${apiPath}/${richMenuId}`) : lineApiSend("delete", apiPath);
+  }
+  for (let i = 0; i < userIds.length; i += LINE_RICH_MENU_BULK_MAX) {
+    const chunk = userIds.slice(i, i + LINE_RICH_MENU_BULK_MAX);
+    if (richMenuId) await lineApiSend("post", "/v2/bot/richmenu/bulk/link", { richMenuId, userIds: chunk });
+    else await lineApiSend("post", "/v2/bot/richmenu/bulk/unlink", { userIds: chunk });
+  }
+}
 
-  setImmediate(async () => {
+function richMenuRoute(handler) {
+  return withTenant(async (req, res) => {
+    const rid = makeRid();
     try {
-      const raw = req.body || "";
-      if (!verifyLineSignature(raw, signature)) {
-        errlog(rid, "Bad LINE signature");
-        return;
-      }
-
-      const data = safeJsonParse(raw);
-      if (!data || !Array.isArray(data.events)) {
-        warn(rid, "LINE webhook: no events / invalid JSON");
-        return;
+      await handler(req, res, rid);
+    } catch (e) {
+      // без response — ошибка в локальных файлах (нет меню / картинки), это 400, а не сбой LINE
+      if (!e?.response) {
+        warn(rid, "Rich menu request rejected:", { path: req.originalUrl }, e.message);
+        return res.status(400).json({ ok: false, error: e.message, rid });
       }
+      const details = JSON.stringify(e.response.data || {});
+      errlog(rid, "❌ Rich menu request failed:", { path: req.originalUrl }, describeHttpError(e), details);
+      res.status(502).json({ ok: false, error: describeHttpError(e), details, rid });
+    }
+  });
+}
 
-      STATE.lastLineWebhook = {
-        rid, at: isoNow(),
-        eventsCount: data.events.length,
-        firstEventType: data.events[0]?.type || null,
-      };
+app.get("/admin/richmenus", richMenuRoute(async (req, res) => {
+  const list = await lineApiSend("get", "/v2/bot/richmenu/list");
+  let defaultId = null;
+  try {
+    defaultId = (await lineApiSend("get", "/v2/bot/user/all/richmenu"))?.richMenuId || null;
+  } catch (e) {
+    if (e?.response?.status !== 404) throw e;
+  }
+  res.json({ ok: true, local: listLocalRichMenus(), uploaded: richMenuSlot().menus, line: list?.richmenus || [], defaultRichMenuId: defaultId });
+}));
 
-      log(rid, "LINE events count:", data.events.length);
+app.delete("/admin/richmenus/default", richMenuRoute(async (req, res, rid) => {
+  await lineApiSend("delete", "/v2/bot/user/all/richmenu");
+  log(rid, "LINE default rich menu cleared", { event: "rich_menu" });
+  res.json({ ok: true });
+}));
 
-      for (const ev of data.events) {
-        const evType = ev?.type;
-        const msgType = ev?.message?.type;
-        log(rid, "LINE event:", { type: evType, msgType, mode: ev?.mode });
+app.post("/admin/richmenus/unlink", express.json(), richMenuRoute(async (req, res, rid) => {
+  const userIds = await richMenuTargetUserIds(req.body, rid);
+  if (!userIds.length) return res.status(400).json({ ok: false, error: "userIds or leadId with a LINE user is required", rid });
+  await setUsersRichMenu(userIds, null);
+  log(rid, "LINE rich menu unlinked:", { event: "rich_menu", users: userIds.length });
+  res.json({ ok: true, unlinked: userIds });
+}));
 
-        if (evType !== "message" || msgType !== "text") continue;
+app.post("/admin/richmenus/:name", richMenuRoute(async (req, res, rid) => {
+  const { richMenuId, previousId } = await uploadRichMenu(req.params.name, rid);
+  if (req.query.default === "1") await lineApiSend("post", `/v2/bot/user/all/richmenu/${richMenuId}`);
+  res.json({ ok: true, name: req.params.name, richMenuId, previousId, isDefault: req.query.default === "1" });
+}));
 
-        const text = (ev.message.text || "").trim();
-        if (!text) continue;
+app.delete("/admin/richmenus/:name", richMenuRoute(async (req, res, rid) => {
+  const richMenuId = resolveRichMenuId(req.params.name);
+  if (!richMenuId) return res.status(404).json({ ok: false, error: "rich menu not uploaded", rid });
+  await lineApiSend("delete", `/v2/bot/richmenu/${richMenuId}`);
+  const menus = richMenuSlot().menus;
+  for (const [name, m] of Object.entries(menus)) if (m.richMenuId === richMenuId) delete menus[name];
+  RICH_MENU_STORE.save();
+  log(rid, "LINE rich menu deleted:", { event: "rich_menu", richMenuId });
+  res.json({ ok: true, deleted: richMenuId });
+}));
 
-        const source = ev.source || {};
-        const lineUserId = source.userId || source.groupId || source.roomId || "unknown";
-        log(rid, "✅ New LINE text:", { lineUserId, text });
+app.post("/admin/richmenus/:name/default", richMenuRoute(async (req, res, rid) => {
+  const richMenuId = resolveRichMenuId(req.params.name);
+  if (!richMenuId) return res.status(404).json({ ok: false, error: "rich menu not uploaded", rid });
+  await lineApiSend("post", `/v2/bot/user/all/richmenu/${richMenuId}`);
+  log(rid, "LINE default rich menu set:", { event: "rich_menu", richMenuId });
+  res.json({ ok: true, defaultRichMenuId: richMenuId });
+}));
 
-        const profile = await getLineProfile(lineUserId, rid);
-        const contact = await ensureKommoContact(lineUserId, profile, rid);
-        if (!contact?.id) { warn(rid, "⚠️ Kommo contact missing -> stop"); continue; }
+app.post("/admin/richmenus/:name/link", express.json(), richMenuRoute(async (req, res, rid) => {
+  const richMenuId = resolveRichMenuId(req.params.name);
+  if (!richMenuId) return res.status(404).json({ ok: false, error: "rich menu not uploaded", rid });
+  const userIds = await richMenuTargetUserIds(req.body, rid);
+  if (!userIds.length) return res.status(400).json({ ok: false, error: "userIds or leadId with a LINE user is required", rid });
+  await setUsersRichMenu(userIds, richMenuId);
+  log(rid, "LINE rich menu linked:", { event: "rich_menu", richMenuId, users: userIds.length });
+  res.json({ ok: true, richMenuId, linked: userIds });
+}));
 
-        const lead = await ensureLineChatLead(contact.id, profile, lineUserId, rid);
-        if (!lead?.id) { warn(rid, "⚠️ leadId missing -> stop"); continue; }
+// -------------------- LINE postback -> Kommo actions (POSTBACK_RULES_FILE) --------------------
+// Кнопки rich menu / Flex / quick reply с action "postback" присылают data, напр. "action=book_tour".
+// POSTBACK_RULES_FILE — JSON, см. postback-rules.example.json:
+//   { "rules": [{ "data": "action=book_tour", "pipelineId": 1, "statusId": 2, "tags": ["..."],
+//                 "task": { "text": "...", "dueMinutes": 60 }, "reply": "..." }] }
+// data правила совпадает целиком или как подмножество параметров: "action=book_tour" ловит "action=book_tour&tour=5".
+// Каждый postback — заметка "[LINE postback]" на chat lead; reply уходит как автоответ (та же разметка, что "LINE Reply").
+const POSTBACK_TASK_DEFAULT_DUE_MINUTES = 60;
 
-        const displayName = profile?.displayName || "Client";
-        await addLeadNote(lead.id, `${displayName}: ${text}`, rid);
+// файл читаем на каждый postback: правки подхватываются без рестарта
+function loadPostbackRules() {
+  const file = tenantEnv("POSTBACK_RULES_FILE");
+  if (!file) return [];
+  const rules = readJsonFile(resolveConfigPath(file), null)?.rules;
+  return Array.isArray(rules) ? rules : [];
+}
 
-        // на всякий случай: пишем chatId в теги лида
-        await ensureLeadHasChatIdTag(lead.id, lineUserId, rid);
+function postbackDataMatches(ruleData, data) {
+  if (!isNonEmptyString(ruleData)) return false;
+  if (ruleData === data) return true;
+  if (!ruleData.includes("=")) return false;
+  const actual = new URLSearchParams(data);
+  return Array.from(new URLSearchParams(ruleData)).every(([k, v]) => actual.get(k) === v);
+}
 
-        log(rid, "✅ Done LINE->Kommo:", { contactId: contact.id, leadId: lead.id });
+// -> список того, что сделали (для заметки)
+async function applyPostbackRule(rule, { chatId, lead }, rid) {
+  const done = [];
+  if (toInt(rule.statusId)) {
+    const patch = { id: toInt(lead.id), status_id: toInt(rule.statusId) };
+    if (toInt(rule.pipelineId)) patch.pipeline_id = toInt(rule.pipelineId);
+    try {
+      // закрытую сделку кнопкой в LINE не двигаем (не переоткрываем won / lost)
+      const closed = getLeadClosedState(await getKommoLeadById(lead.id, rid));
+      if (closed) {
+        log(rid, "Postback: lead is closed -> stage move skipped:", { leadId: lead.id, closed });
+        done.push(`not moved: lead is closed (${closed})`);
+      } else {
+        await kommoPatch("/leads", [patch], rid);
+        done.push(`moved to status ${patch.status_id}`);
       }
     } catch (e) {
-      errlog(rid, "Unhandled error in LINE webhook:", e.message);
+      warn(rid, "Postback: could not move lead:", { leadId: lead.id }, describeHttpError(e));
+      done.push(`could not move to status ${patch.status_id}`);
     }
-  });
-});
+  }
+  const tags = [].concat(rule.tags || []).filter(isNonEmptyString);
+  if (tags.length) {
+    await updateEntityTags("leads", lead.id, { add: tags }, rid);
+    done.push(`tags +${tags.join(", +")}`);
+  }
+  if (isNonEmptyString(rule.task?.text)) {
+    try {
+      const dueMinutes = toInt(rule.task.dueMinutes) || POSTBACK_TASK_DEFAULT_DUE_MINUTES;
+      const { id } = await createKommoLeadTask(lead.id, { text: rule.task.text, responsibleUserId: rule.task.responsibleUserId, dueMinutes }, rid);
+      done.push(`task ${id}`);
+    } catch (e) {
+      warn(rid, "Postback: could not create task:", { leadId: lead.id }, describeHttpError(e));
+      done.push("could not create task");
+    }
+  }
+  if (isNonEmptyString(rule.reply)) await sendAutoReply(chatId, lead.id, `postback "${rule.data}"`, rule.reply, rid);
+  return done;
+}
 
-// -------------------- Kommo webhook (Emfy button) --------------------
-function setCors(res) {
-  res.set("Access-Control-Allow-Origin", "*");
-  res.set("Access-Control-Allow-Headers", "*");
-  res.set("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+// postback: клиент нажал кнопку -> заметка на chat lead + действия по POSTBACK_RULES_FILE
+async function handleLinePostbackEvent(ev, rid) {
+  const data = String(ev.postback?.data || "");
+  const conv = await ensureLineConversation(ev.source, rid);
+  if (!conv) return;
+  const { chatId, profile, lead } = conv;
+
+  const sender = await getLineSenderProfile(ev.source, profile, rid);
+  const displayName = sender?.displayName || "Client";
+  // datetimepicker присылает выбранную дату в params
+  const params = ev.postback?.params && Object.keys(ev.postback.params).length ? ` ${JSON.stringify(ev.postback.params)}` : "";
+  const rule = loadPostbackRules().find((r) => postbackDataMatches(r.data, data));
+  log(rid, "✅ LINE postback:", { event: "line_postback", direction: "in", chatId, leadId: lead.id, data, rule: rule?.data || null });
+  recordTranscript({ direction: "in", chatId, leadId: String(lead.id), type: "postback", text: `${data}${params}`, sender: displayName, result: "note" });
+
+  const done = rule ? await applyPostbackRule(rule, { chatId, lead }, rid) : [];
+  const summary = done.length ? `\n-> ${done.join("; ")}` : "";
+  await addLeadNote(lead.id, `[LINE postback] ${displayName}: ${data}${params}${summary}`, rid);
 }
 
-function extractIdsFromKommo(parsed) {
-  const leadId =
-    parsed["leads[add][0][id]"] ||
-    parsed["this_item[id]"] ||
-    parsed["lead[id]"] ||
-    parsed["lead_id"] ||
-    parsed["id"] ||
-    null;
+// -------------------- lead stage -> automatic LINE message (STAGE_MESSAGES_FILE) --------------------
+// Kommo: Settings -> Integrations -> Webhooks, событие "Lead status changed" -> /kommo/status-webhook[/:tenant]?token=...
+// (тот же KOMMO_WEBHOOK_SECRET, что и у /kommo/webhook). STAGE_MESSAGES_FILE — JSON, см. stage-messages.example.json:
+//   { "timeZone": "Asia/Makassar", "locale": "en-GB",
+//     "stages": [{ "name": "Booking confirmed", "pipelineId": 1, "statusId": 2, "message": "Hi {{contact.first_name}}! ..." }] }
+// Подстановки: {{lead.id}} {{lead.name}} {{lead.price}} {{contact.name}} {{contact.first_name}} (без префикса "[LINE] " у контактов моста),
+//   {{lead.field.<id или название>}} / {{contact.field.<id или название>}} — даты форматируются в timeZone / locale.
+// Пустое поле = сообщение не уходит ("[LINE failed: ...]" + задача агенту). Текст понимает разметку "LINE Reply".
+// Каждая пара лид + этап срабатывает один раз (DATA_DIR/stage-messages.json), повторное попадание в этап — без сообщения.
+const STAGE_MESSAGE_STORE = openJsonStore("stage-messages.json", () => ({ tenants: {} }));
+const KOMMO_DATE_FIELD_TYPES = ["date", "birthday"];
+const KOMMO_DATE_TIME_FIELD_TYPES = ["date_time"];
 
-  const contactId =
-    parsed["this_item[_embedded][contacts][0][id]"] ||
-    parsed["this_item[main_contact][id]"] ||
-    parsed["contacts[add][0][id]"] ||
-    parsed["contact[id]"] ||
-    parsed["contact_id"] ||
-    null;
+// файл читаем на каждый webhook: правки подхватываются без рестарта
+function loadStageMessages() {
+  const file = tenantEnv("STAGE_MESSAGES_FILE");
+  if (!file) return null;
+  return readJsonFile(resolveConfigPath(file), null);
+}
 
-  return {
-    leadId: leadId ? String(leadId) : null,
-    contactId: contactId ? String(contactId) : null,
-  };
+function findStageMessage(config, { pipelineId, statusId }) {
+  return (config?.stages || []).find(
+    (s) => toInt(s.statusId) === statusId && (!toInt(s.pipelineId) || toInt(s.pipelineId) === pipelineId) && isNonEmptyString(s.message)
+  ) || null;
 }
 
-app.all("/kommo/webhook", express.text({ type: "*/*" }), (req, res) => {
-  const rid = makeRid();
-  setCors(res);
+// JSON-тело { leads: { status: [{ id, status_id }] } } -> те же плоские ключи, что и у form-encoded ("leads[status][0][id]")
+function flattenKommoParams(value, prefix = "", out = {}) {
+  if (value && typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) flattenKommoParams(v, prefix ? `${prefix}[${k}]` : k, out);
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
 
-  if (req.method === "OPTIONS") return res.status(200).end();
-  res.json({ ok: true });
+// leads[status][0][id]=..&leads[status][0][status_id]=.. (и leads[add] — лид создан сразу в этапе) -> [{ leadId, statusId, pipelineId }]
+function extractLeadStatusChanges(parsed) {
+  const byItem = {};
+  for (const [key, value] of Object.entries(parsed || {})) {
+    const m = key.match(/^leads\[(status|add)\]\[(\d+)\]\[(id|status_id|pipeline_id)\]$/);
+    if (m) byItem[`${m[1]}:${m[2]}`] = { ...byItem[`${m[1]}:${m[2]}`], [m[3]]: toInt(value) };
+  }
+  return Object.values(byItem)
+    .filter((c) => c.id && c.status_id)
+    .map((c) => ({ leadId: c.id, statusId: c.status_id, pipelineId: c.pipeline_id || null }));
+}
 
-  setImmediate(async () => {
-    try {
-      const raw = typeof req.body === "string" ? req.body : "";
-      let parsed = {};
-      const maybeJson = safeJsonParse(raw);
-      if (maybeJson && typeof maybeJson === "object") {
-        parsed = maybeJson;
-      } else {
-        parsed = querystring.parse(raw);
-      }
+function formatKommoFieldValue(field, config) {
+  const value = field?.values?.[0]?.value;
+  if (value === undefined || value === null || value === "") return "";
+  const isDate = KOMMO_DATE_FIELD_TYPES.includes(field.field_type);
+  if (!isDate && !KOMMO_DATE_TIME_FIELD_TYPES.includes(field.field_type)) {
+    return field.values.map((v) => v.value).filter((v) => v !== "" && v !== null && v !== undefined).join(", ");
+  }
+  const tz = config?.timeZone || getLineScheduleTimeZone();
+  const opts = { timeZone: isValidTimeZone(tz) ? tz : "UTC", dateStyle: "medium", ...(isDate ? {} : { timeStyle: "short" }) };
+  const ts = typeof value === "number" || /^\d+$/.test(String(value)) ? Number(value) * 1000 : Date.parse(value);
+  if (!Number.isFinite(ts)) return String(value);
+  try {
+    return new Intl.DateTimeFormat(config?.locale || "en-GB", opts).format(ts);
+  } catch {
+    return new Intl.DateTimeFormat("en-GB", opts).format(ts);
+  }
+}
 
-      const keys = Object.keys(parsed || {});
-      STATE.lastKommoWebhook = {
-        rid, at: isoNow(),
-        method: req.method,
-        keysCount: keys.length,
-        keysPreview: keys.slice(0, 50),
-        rawPreview: String(raw).slice(0, 500),
-      };
+function findKommoField(entity, idOrName) {
+  const fields = entity?.custom_fields_values || [];
+  const id = /^\d+$/.test(idOrName) ? toInt(idOrName) : null;
+  const name = idOrName.toLowerCase();
+  return fields.find((f) => (id && f.field_id === id) || String(f.field_name || "").toLowerCase() === name) || null;
+}
 
-      log(rid, "==== Kommo webhook ====");
-      log(rid, "method:", req.method, "keysCount:", keys.length);
+// -> { text, missing: [placeholder] }
+// "[LINE] Somchai P." -> "Somchai P." (так мост называет контакты, см. lineConversationName);
+// "[LINE] LINE U4af4..." (профиль не получили) -> "" — имени у клиента нет
+function stripLineNamePrefix(name) {
+  const stripped = String(name || "").replace(/^\[LINE(?: group| room)?\]\s*/, "");
+  return /^LINE [UCR][0-9a-f]{32}$/.test(stripped) ? "" : stripped;
+}
 
-      let { leadId, contactId } = extractIdsFromKommo(parsed);
-      log(rid, "Extracted IDs:", { leadId, contactId });
+function renderStageMessage(template, { lead, contact }, config) {
+  const missing = [];
+  const text = String(template).replace(/\{\{\s*(lead|contact)\.([^}]+?)\s*\}\}/g, (all, entityName, prop) => {
+    const entity = entityName === "lead" ? lead : contact;
+    let value = "";
+    if (prop.startsWith("field.")) value = formatKommoFieldValue(findKommoField(entity, prop.slice(6).trim()), config);
+    else if (prop === "first_name") value = entity?.first_name || stripLineNamePrefix(entity?.name).split(/\s+/)[0] || "";
+    else if (prop === "name" && entityName === "contact") value = stripLineNamePrefix(entity?.name);
+    else if (["id", "name", "price"].includes(prop)) value = entity?.[prop] || ""; // price 0 = не заполнена
+    value = String(value);
+    if (!value) missing.push(all);
+    return value;
+  });
+  return { text, missing };
+}
 
-      const cfResult = extractLineReplyFromCustomFields(parsed, rid);
-      if (!cfResult?.text) {
-        log(rid, "No LINE Reply text in custom fields -> skip");
-        return;
-      }
+function stageMessageKey({ leadId, pipelineId, statusId }) {
+  return `${leadId}:${pipelineId || "-"}:${statusId}`;
+}
 
-      const replyText = cfResult.text;
-      log(rid, "✅ LINE Reply text:", replyText);
+function stageMessageSlot() {
+  return tenantSlot(STAGE_MESSAGE_STORE, () => ({ sent: {} }));
+}
 
-      if (!leadId) {
-        warn(rid, "leadId missing -> cannot send");
-        return;
-      }
+async function sendStageMessage(change, stage, config, rid) {
+  const { leadId } = change;
+  const stageName = stage.name || `status ${change.statusId}`;
+  const lead = await getKommoLeadById(leadId, rid);
+  const contactLink = (lead?._embedded?.contacts || []).find((c) => c.is_main) || lead?._embedded?.contacts?.[0];
+  const contact = contactLink?.id ? await getKommoContactById(contactLink.id, rid) : null;
 
-      // 1) Находим LINE chatId максимально надёжно (main contact -> lead tags -> all lead contacts)
-      const resolved = await resolveLineChatIdForLead({ leadId, contactId }, rid);
+  const resolved = await resolveLineChatIdForLead({ leadId, contactId: contact?.id || null }, rid);
+  if (!resolved.lineChatId) {
+    log(rid, "Stage message: lead has no LINE chat -> skip:", { leadId, stage: stageName });
+    return "no_chat";
+  }
+  const lineChatId = resolved.lineChatId;
+  const failed = async (reason, text) => {
+    await reportLineDeliveryFailure(leadId, { reason, text: `(stage "${stageName}") ${text}` }, rid);
+    return "failed";
+  };
 
-      if (!resolved.lineChatId) {
-        warn(rid, "No LINE chatId found -> cannot send");
-        return;
-      }
+  const blockedReason = await getLeadLineBlockReason(leadId, rid);
+  if (blockedReason) return await failed(blockedReason, stage.message);
 
-      const lineChatId = resolved.lineChatId;
+  const rendered = renderStageMessage(stage.message, { lead, contact }, config);
+  if (rendered.missing.length) return await failed(`template fields are empty: ${rendered.missing.join(", ")}`, rendered.text);
+  const outbound = parseLineReplyMarkup(rendered.text);
+  if (outbound.errors.length) return await failed(`invalid message: ${outbound.errors.join("; ")}`, rendered.text);
 
-      // 2) Сохраняем chatId прямо в тегах лида, чтобы в следующий раз работало всегда
-      await ensureLeadHasChatIdTag(leadId, lineChatId, rid);
+  const result = await sendLineMessages(lineChatId, outbound.messages, rid, { leadId, sender: "stage" });
+  log(rid, "Stage LINE message:", { event: "stage_message", leadId, lineChatId, stage: stageName, ok: result.ok, queued: !!result.queued });
+  if (!result.ok && !result.queued) return await failed(describeLineSendError(result.status, result.error), rendered.text);
+
+  const tag = result.ok ? `[LINE sent (stage "${stageName}")]` : `[LINE queued for retry (stage "${stageName}")]`;
+  try {
+    await addLeadNote(leadId, `${tag} ${rendered.text}`, rid);
+  } catch (e) {
+    warn(rid, "Could not add stage message note:", e.message);
+  }
+  await setLeadLineStatus(leadId, result.ok ? "sent" : "queued", rid);
+  return result.ok ? "sent" : "queued";
+}
 
-      log(rid, "🚀 Sending to LINE:", { lineChatId, text: replyText, source: resolved.source });
+// один раз на лид + этап: ключ занимаем до отправки (Kommo шлёт webhook повторно), при неудаче — освобождаем
+async function handleLeadStatusChange(change, config, rid) {
+  const stage = findStageMessage(config, change);
+  if (!stage) return;
+  const key = stageMessageKey(change);
+  const sent = stageMessageSlot().sent;
+  if (sent[key]) {
+    log(rid, "Stage message already sent for this lead + stage -> skip:", { key, at: sent[key].at });
+    return;
+  }
+  sent[key] = { at: isoNow(), result: "sending" };
+  STAGE_MESSAGE_STORE.save();
 
-      // 3) Отправляем в LINE
-      const sendResult = await sendLinePush(lineChatId, replyText, rid);
+  let outcome = "failed";
+  try {
+    outcome = await sendStageMessage(change, stage, config, rid);
+  } catch (e) {
+    errlog(rid, "❌ Stage message failed:", { leadId: change.leadId }, describeHttpError(e));
+  }
+  if (outcome === "sent" || outcome === "queued") sent[key] = { at: isoNow(), result: outcome };
+  else delete sent[key];
+  STAGE_MESSAGE_STORE.save();
+}
 
-      if (sendResult.ok) {
-        // Очищаем поле LINE Reply
-        const fieldId = cfResult.fieldId || getLineReplyFieldId();
-        if (fieldId) {
-          await clearLineReplyField(leadId, fieldId, rid);
-        }
+app.post(["/kommo/status-webhook", "/kommo/status-webhook/:tenant"], express.text({ type: "*/*" }), withTenant((req, res) => {
+  const rid = makeRid();
+  if (!checkKommoWebhookAuth(req, res, rid, "Kommo status webhook")) return;
+  res.json({ ok: true });
 
-        // Логируем в лид
-        try {
-          await addLeadNote(toInt(leadId), `[LINE sent] ${replyText}`, rid);
-        } catch (e) {
-          warn(rid, "Could not add 'LINE sent' note:", e.message);
-        }
+  setImmediate(async () => {
+    try {
+      const raw = typeof req.body === "string" ? req.body : "";
+      recordWebhook("kommo_status", req, raw, rid);
+      const maybeJson = safeJsonParse(raw);
+      const changes = extractLeadStatusChanges(maybeJson && typeof maybeJson === "object" ? flattenKommoParams(maybeJson) : querystring.parse(raw));
+      log(rid, "Kommo status webhook:", { event: "kommo_status", changes });
+
+      const config = loadStageMessages();
+      if (!config) {
+        if (changes.length) warn(rid, "Kommo status webhook: STAGE_MESSAGES_FILE is not set -> ignore");
+        return;
       }
+      for (const change of changes) await handleLeadStatusChange(change, config, rid);
     } catch (e) {
-      errlog(rid, "Unhandled error in /kommo/webhook:", e.message);
+      errlog(rid, "Unhandled error in /kommo/status-webhook:", e.message);
     }
   });
-});
+}));
 
 // -------------------- start --------------------
-const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => {
-  console.log(`line-kommo-bridge is running on port ${PORT}`);
-});
+// require("./index.js") (replay script) получает app без listen и без queue worker
+if (require.main === module) {
+  const PORT = process.env.PORT || 10000;
+  app.listen(PORT, () => {
+    log("-", `line-kommo-bridge is running on port ${PORT}`);
+    startQueueWorker();
+    startScheduler();
+    startSlaWorker();
+  });
+}
+
+module.exports = {
+  app,
+  startQueueWorker,
+  processQueue,
+  startScheduler,
+  processScheduledMessages,
+  parseLineSendAt,
+  startSlaWorker,
+  processSlaTimers,
+  extractIdsFromKommo,
+  extractLineReplyFromCustomFields,
+  parseLineReplyMarkup,
+  formatLineMessage,
+  STATE,
+};
 
@@ -0,0 +1,279 @@
+// scripts/replay-webhooks.js
+// Replays webhooks saved with WEBHOOK_RECORD=1 through the real handlers of index.js,
+// against local LINE / Kommo stand-ins instead of api.line.me and *.kommo.com.
+//
+// Usage:
+//   npm run replay -- data/recordings/default                      (folder or single .json files)
+//   npm run replay -- --json recording.json > result.json          (machine-readable result, for regression tests)
+//   npm run replay -- --line-user U123... recording.json           (LINE user the stand-in Kommo contacts are tagged with)
+//
+// Every recording is sent to the default tenant with stand-in credentials and re-signed with them,
+// so the original secrets are never needed. KOMMO_LINE_REPLY_FIELD_ID / KOMMO_CHATS_MODE etc. are taken from env as usual.
+// Output per recording: which LINE / Kommo API calls the bridge made while handling it.
+
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const REPLAY_SECRETS = {
+  lineSecret: "replay-line-secret",
+  lineToken: "replay-line-token",
+  kommoToken: "replay-kommo-token",
+  kommoWebhookSecret: "replay-kommo-webhook-secret",
+  channelId: "replay-channel",
+  channelSecret: "replay-channel-secret",
+};
+const IDLE_MS = 400;
+const MAX_WAIT_MS = 15000;
+// 1x1 PNG — контент для image/video/audio/file сообщений
+const PNG_1X1 = Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=", "base64");
+
+function parseArgs(argv) {
+  const opts = { json: false, lineUser: "U00000000000000000000000000replay", files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--json") opts.json = true;
+    else if (a === "--line-user") opts.lineUser = argv[++i];
+    else opts.files.push(a);
+  }
+  return opts;
+}
+
+function listRecordings(inputs) {
+  const files = [];
+  for (const p of inputs) {
+    const stat = fs.statSync(p);
+    if (stat.isDirectory()) {
+      for (const name of fs.readdirSync(p).sort()) {
+        const full = path.join(p, name);
+        if (fs.statSync(full).isDirectory()) files.push(...listRecordings([full]));
+        else if (name.endsWith(".json")) files.push(full);
+      }
+    } else {
+      files.push(p);
+    }
+  }
+  return files;
+}
+
+// -------------------- stand-in servers --------------------
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+function startStandIn(name, route, calls) {
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    const u = new URL(req.url, "http://localhost");
+    const text = body.toString("utf8");
+    const json = (() => {
+      try {
+        return JSON.parse(text);
+      } catch {
+        return null;
+      }
+    })();
+    calls.push({ api: name, method: req.method, path: u.pathname, query: Object.fromEntries(u.searchParams), body: json ?? (text ? `<${body.length} bytes>` : null), at: Date.now() });
+
+    const out = route(req.method, u.pathname, json, u) || { status: 200, json: {} };
+    if (out.buffer) {
+      res.writeHead(out.status || 200, { "Content-Type": out.contentType });
+      return res.end(out.buffer);
+    }
+    if (out.status === 204) {
+      res.writeHead(204);
+      return res.end();
+    }
+    res.writeHead(out.status || 200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(out.json));
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+function lineRoute(lineUser) {
+  return (method, p) => {
+    let m;
+    if ((m = p.match(/^\/v2\/bot\/profile\/([^/]+)$/))) return { json: { userId: m[1], displayName: "Replay User" } };
+    if ((m = p.match(/^\/v2\/bot\/(group|room)\/([^/]+)\/summary$/))) return { json: { groupId: m[2], groupName: "Replay Group" } };
+    if ((m = p.match(/^\/v2\/bot\/(group|room)\/[^/]+\/member\/([^/]+)$/))) return { json: { userId: m[2], displayName: "Replay Member" } };
+    if (p.match(/^\/v2\/bot\/message\/[^/]+\/content$/)) return { buffer: PNG_1X1, contentType: "image/png" };
+    if (p === "/v2/bot/info") return { json: { userId: lineUser, displayName: "Replay Bot" } };
+    return { json: {} };
+  };
+}
+
+// Kommo: контакты / лиды живут в памяти, незнакомые ID отдаём как контакт с тегом LINE_UID_<lineUser>
+function kommoRoute(getOrigin, lineUser) {
+  const contacts = new Map();
+  const leads = new Map();
+  let nextId = 1000;
+
+  const contactById = (id) => contacts.get(String(id)) || { id: Number(id), name: "Replay contact", _embedded: { tags: [{ name: `LINE_UID_${lineUser}` }] } };
+  const leadById = (id) =>
+    leads.get(String(id)) || { id: Number(id), name: "Replay lead", status_id: 0, _embedded: { tags: [], contacts: [{ id: 1, is_main: true }] } };
+  const tagsOf = (entity) => (entity._embedded?.tags || entity.tags_to_add || []).map((t) => t.name);
+  const stored = (entity) => {
+    const tags = (entity._embedded?.tags || []).concat(entity.tags_to_add || []);
+    return { id: nextId++, ...entity, _embedded: { ...(entity._embedded || {}), tags } };
+  };
+
+  return (method, p, body, u) => {
+    let m;
+    if (p === "/api/v4/account") return { json: { id: 1, subdomain: "replay", amojo_id: "replay-amojo", drive_url: `${getOrigin()}/drive` } };
+    if (p === "/oauth2/access_token") return { json: { access_token: REPLAY_SECRETS.kommoToken, refresh_token: "replay", expires_in: 86400 } };
+
+    if (p === "/api/v4/contacts" && method === "GET") {
+      const q = u.searchParams.get("query") || "";
+      const found = [...contacts.values()].filter((c) => tagsOf(c).some((t) => t.includes(q)));
+      return found.length ? { json: { _embedded: { contacts: found } } } : { status: 204 };
+    }
+    if (p === "/api/v4/contacts" && method === "POST") {
+      const created = (body || []).map((c) => stored(c));
+      created.forEach((c) => contacts.set(String(c.id), c));
+      return { json: { _embedded: { contacts: created.map((c) => ({ id: c.id })) } } };
+    }
+    if ((m = p.match(/^\/api\/v4\/contacts\/(\d+)$/)) && method === "GET") return { json: contactById(m[1]) };
+
+    if (p === "/api/v4/leads" && method === "GET") {
+      const contactId = u.searchParams.get("filter[contacts][id]");
+      const found = [...leads.values()].filter((l) => (l._embedded?.contacts || []).some((c) => String(c.id) === contactId));
+      return found.length ? { json: { _embedded: { leads: found } } } : { status: 204 };
+    }
+    if (p === "/api/v4/leads" && method === "POST") {
+      const created = (body || []).map((l) => stored(l));
+      created.forEach((l) => leads.set(String(l.id), l));
+      return { json: { _embedded: { leads: created.map((l) => ({ id: l.id })) } } };
+    }
+    if ((m = p.match(/^\/api\/v4\/leads\/(\d+)$/)) && method === "GET") return { json: leadById(m[1]) };
+    if (p === "/api/v4/leads/notes" && method === "POST") return { json: { _embedded: { notes: (body || []).map(() => ({ id: nextId++ })) } } };
+
+    if (p === "/drive/v1.0/sessions") return { json: { upload_url: `${getOrigin()}/drive/upload/${nextId++}`, max_part_size: 512 * 1024 } };
+    if (p.startsWith("/drive/upload/")) return { json: { uuid: `replay-file-${nextId++}`, version_uuid: "replay-version", name: "replay" } };
+
+    // amojo: connect -> scope_id, остальное просто принимаем
+    if ((m = p.match(/^\/v2\/origin\/custom\/([^/]+)\/connect$/))) return { json: { scope_id: `${m[1]}_replay-amojo` } };
+    return { json: {} };
+  };
+}
+
+// -------------------- replay --------------------
+function replayRequest(rec) {
+  const body = typeof rec.body === "string" ? rec.body : JSON.stringify(rec.body || "");
+  const headers = { "content-type": rec.headers?.["content-type"] || "application/json" };
+  let target;
+
+  if (rec.kind === "line") {
+    target = "/line/webhook";
+    headers["x-line-signature"] = crypto.createHmac("sha256", REPLAY_SECRETS.lineSecret).update(body).digest("base64");
+  } else if (rec.kind === "kommo" || rec.kind === "kommo_status") {
+    const u = new URL(rec.path || "/kommo/webhook", "http://localhost");
+    u.searchParams.delete("token");
+    target = `${rec.kind === "kommo" ? "/kommo/webhook" : "/kommo/status-webhook"}${u.search}`;
+    headers["x-bridge-token"] = REPLAY_SECRETS.kommoWebhookSecret;
+  } else if (rec.kind === "kommo_chats") {
+    target = `/kommo/chats/webhook/${encodeURIComponent(rec.params?.scopeId || "replay")}`;
+    headers["x-signature"] = crypto.createHmac("sha1", REPLAY_SECRETS.channelSecret).update(body).digest("hex");
+  } else {
+    throw new Error(`unknown recording kind: ${rec.kind}`);
+  }
+  return { method: rec.method === "GET" ? "GET" : "POST", target, headers, body };
+}
+
+// ждём, пока bridge перестанет ходить в заглушки (обработка идёт в setImmediate после ответа 200)
+async function waitForIdle(calls) {
+  const startedAt = Date.now();
+  for (;;) {
+    await new Promise((r) => setTimeout(r, 100));
+    const lastAt = calls.length ? calls[calls.length - 1].at : startedAt;
+    if (Date.now() - Math.max(lastAt, startedAt) >= IDLE_MS) return;
+    if (Date.now() - startedAt >= MAX_WAIT_MS) return;
+  }
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const files = listRecordings(opts.files);
+  if (!files.length) {
+    console.error("usage: node scripts/replay-webhooks.js [--json] [--line-user Uxxx] <recording.json | folder> ...");
+    process.exit(1);
+  }
+
+  const calls = [];
+  let kommoOrigin = "";
+  const lineServer = await startStandIn("line", lineRoute(opts.lineUser), calls);
+  const kommoServer = await startStandIn("kommo", kommoRoute(() => kommoOrigin, opts.lineUser), calls);
+  const lineOrigin = `http://127.0.0.1:${lineServer.address().port}`;
+  kommoOrigin = `http://127.0.0.1:${kommoServer.address().port}`;
+
+  // env до require: bridge видит только заглушки и свежий DATA_DIR
+  Object.assign(process.env, {
+    DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "line-bridge-replay-")),
+    LINE_API_BASE_URL: lineOrigin,
+    LINE_DATA_API_BASE_URL: lineOrigin,
+    KOMMO_BASE_URL: kommoOrigin,
+    KOMMO_AMOJO_BASE_URL: kommoOrigin,
+    KOMMO_SUBDOMAIN: "replay",
+    KOMMO_ACCESS_TOKEN: REPLAY_SECRETS.kommoToken,
+    KOMMO_WEBHOOK_SECRET: REPLAY_SECRETS.kommoWebhookSecret,
+    KOMMO_CHANNEL_ID: REPLAY_SECRETS.channelId,
+    KOMMO_CHANNEL_SECRET: REPLAY_SECRETS.channelSecret,
+    LINE_CHANNEL_SECRET: REPLAY_SECRETS.lineSecret,
+    LINE_CHANNEL_ACCESS_TOKEN: REPLAY_SECRETS.lineToken,
+    WEBHOOK_RECORD: "0",
+  });
+  for (const k of ["TENANTS_JSON", "TENANTS_FILE", "KOMMO_ALLOWED_ORIGINS", "KOMMO_CLIENT_ID", "KOMMO_CLIENT_SECRET", "KOMMO_REDIRECT_URI"]) delete process.env[k];
+
+  // --json: логи bridge уходят в stderr, в stdout только результат
+  if (opts.json) console.log = console.error;
+  const { app } = require("../index.js");
+  const bridge = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const bridgeOrigin = `http://127.0.0.1:${bridge.address().port}`;
+
+  const results = [];
+  for (const file of files) {
+    const rec = JSON.parse(fs.readFileSync(file, "utf8"));
+    const req = replayRequest(rec);
+    const from = calls.length;
+    const r = await fetch(`${bridgeOrigin}${req.target}`, { method: req.method, headers: req.headers, body: req.method === "GET" ? undefined : req.body });
+    await waitForIdle(calls);
+    results.push({
+      file,
+      kind: rec.kind,
+      recordedAt: rec.recordedAt || null,
+      status: r.status,
+      calls: calls.slice(from).map(({ at, ...c }) => c),
+    });
+  }
+
+  bridge.close();
+  lineServer.close();
+  kommoServer.close();
+
+  if (opts.json) {
+    process.stdout.write(JSON.stringify(results, null, 2) + "\n");
+    return;
+  }
+  for (const res of results) {
+    console.log(`\n=== ${res.file} (${res.kind}, recorded ${res.recordedAt || "?"}) -> HTTP ${res.status}`);
+    if (!res.calls.length) console.log("  (no LINE / Kommo calls)");
+    for (const c of res.calls) {
+      const body = c.body === null ? "" : ` ${JSON.stringify(c.body).slice(0, 300)}`;
+      console.log(`  ${c.api.toUpperCase()} ${c.method} ${c.path}${body}`);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error("Replay failed:", e.message);
+    process.exit(1);
+  });